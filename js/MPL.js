@@ -18,48 +18,514 @@ var MPL = (function (FormulaParser) {
   var unaries = [
     { symbol: '~',  key: 'neg',  precedence: 4 },
     { symbol: '[]', key: 'nec',  precedence: 4 },
-    { symbol: '<>', key: 'poss', precedence: 4 }
+    { symbol: '<>', key: 'poss', precedence: 4 },
+    { symbol: 'G',  key: 'futnec',   precedence: 4 },
+    { symbol: 'F',  key: 'futposs',  precedence: 4 },
+    { symbol: 'H',  key: 'pastnec',  precedence: 4 },
+    { symbol: 'P',  key: 'pastposs', precedence: 4 },
+    { symbol: 'EF', key: 'ef', precedence: 4 },
+    { symbol: 'AG', key: 'ag', precedence: 4 },
+    { symbol: 'AF', key: 'af', precedence: 4 },
+    { symbol: 'EG', key: 'eg', precedence: 4 }
   ];
 
   var binaries = [
     { symbol: '&',   key: 'conj', precedence: 3, associativity: 'right' },
+    { symbol: '~&',  key: 'nand', precedence: 3, associativity: 'right' },
     { symbol: '|',   key: 'disj', precedence: 2, associativity: 'right' },
+    { symbol: '^',   key: 'xor',  precedence: 2, associativity: 'right' },
     { symbol: '->',  key: 'impl', precedence: 1, associativity: 'right' },
     { symbol: '<->', key: 'equi', precedence: 0, associativity: 'right' }
   ];
 
-  var MPLParser = new FormulaParser(variableKey, unaries, binaries);
+  // the letter operators (G, F, H, P, EF, AG, AF, and EG) are only read as such when they make up a word of their own
+  // (see _readWord), so that variables like 'Fred' aren't split up; before parsing, they are marked with '#'
+  var parserUnaries = unaries.map(function (unary) {
+    return /^\w/.test(unary.symbol) ? { symbol: '#' + unary.symbol, key: unary.key, precedence: unary.precedence } : unary;
+  });
+
+  var MPLParser = new FormulaParser(variableKey, parserUnaries, binaries);
+
+  var letterOperatorRegex = /EF|AG|AF|EG|[GFHP]/g,
+      operandFollowsRegex = /^\s*(?:[\w(\[]|~(?!&)|<(?!->))/;
+
+  // indexed modal operators (e.g., '[a]' and '<a>') get parser keys of the form 'nec@a' and 'poss@a'
+  var indexedKeyRegex = /^(nec|poss)@(\w+)$/;
+
+  // announcement operators (e.g., '[!p]') are replaced by numbered placeholders '[!0]', '[!1]', etc.
+  // before parsing, which get parser keys of the form 'announce@0', 'announce@1', etc.
+  var announceKeyRegex = /^announce@(\d+)$/;
+
+  /**
+   * Returns a parser which also recognizes the indexed modal operators for the given agents
+   * and a given number of announcement placeholders.
+   * @private
+   */
+  function _makeIndexedParser(agents, announcementCount) {
+    var indexedUnaries = [];
+    agents.forEach(function (agent) {
+      indexedUnaries.push({ symbol: '[' + agent + ']', key: 'nec@'  + agent, precedence: 4 });
+      indexedUnaries.push({ symbol: '<' + agent + '>', key: 'poss@' + agent, precedence: 4 });
+    });
+    for (var i = 0; i < announcementCount; i++)
+      indexedUnaries.push({ symbol: '[!' + i + ']', key: 'announce@' + i, precedence: 4 });
+
+    return new FormulaParser(variableKey, parserUnaries.concat(indexedUnaries), binaries);
+  }
+
+  /**
+   * Reads a word (a maximal run of word characters) of an MPL wff in ASCII, given the input following it.
+   * - If no subformula follows and the word is T or F, possibly after a run of letter operators (e.g., 'GF'),
+   *   it is read as those operators and a truth constant.
+   * - Otherwise, if the word is a run of letter operators (e.g., 'G' or 'GF' in 'GF p' or 'G(p)'), it is read as such
+   *   (so that a lone 'G' is an operator missing its operand, rather than a variable).
+   * - Otherwise, the word is a propositional variable (e.g., 'Gp' or 'Fred').
+   * Returns an object with three properties: an array of operators, a constant ('T', 'F', or null),
+   * and a variable (or null).
+   * @private
+   */
+  function _readWord(word, following) {
+    var operandFollows = operandFollowsRegex.test(following),
+        constantMatch = word.match(/^((?:EF|AG|AF|EG|[GFHP])*)([TF])$/);
+
+    if (constantMatch && !operandFollows)
+      return {operators: constantMatch[1].match(letterOperatorRegex) || [], constant: constantMatch[2], variable: null};
+    if (/^(?:EF|AG|AF|EG|[GFHP])+$/.test(word))
+      return {operators: word.match(letterOperatorRegex), constant: null, variable: null};
+
+    return {operators: [], constant: null, variable: word};
+  }
+
+  /**
+   * Replaces each word of an MPL wff (in ASCII representation) using a given function of how the word is read
+   * (see _readWord), leaving the agents of indexed modal operators (and announcement placeholders) as they are.
+   * @private
+   */
+  function _replaceWords(ascii, replacer) {
+    return ascii.replace(/\[!\d+\]|\[\w+\]|<\w+>|\w+/g, function (match, offset) {
+      return /^\w/.test(match) ? replacer(_readWord(match, ascii.slice(offset + match.length))) : match;
+    });
+  }
   // end formula-parser setup
 
+  /**
+   * Returns the JSON for a modal formula with a given key ('nec' or 'poss'), subformula, and agent (if any).
+   * @private
+   */
+  function _modalJSON(key, subJSON, agent) {
+    var json = {};
+    json[key] = subJSON;
+    if (agent !== undefined) json.agent = agent;
+
+    return json;
+  }
+
+  /**
+   * Returns the operands of a conjunction or disjunction (given by key) of the given MPL wffs (in JSON representation),
+   * taking the operands of any wff which is itself a conjunction or disjunction (respectively) in its place.
+   * @private
+   */
+  function _flatten(key, jsons) {
+    return jsons.reduce(function (operands, json) { return operands.concat(json[key] || [json]); }, []);
+  }
+
+  /**
+   * Converts parser output into MPL JSON, replacing indexed modal keys with an agent property,
+   * announcement keys with the JSON of the corresponding announced formula, and the variables T and F
+   * (which only remain where they are read as constants; see _readWord) with truth constants.
+   * Nested conjunctions and disjunctions are flattened, as these are n-ary.
+   * @private
+   */
+  function _convertParserJSON(json, announcements) {
+    if (json[variableKey])
+      return (json.prop === 'T') ? {top: true} : (json.prop === 'F') ? {bot: true} : json;
+
+    var convert = function (subJSON) { return _convertParserJSON(subJSON, announcements); },
+        result = {};
+    for (var key in json) {
+      var subJSON = Array.isArray(json[key]) ? json[key].map(convert) : convert(json[key]),
+          match = key.match(indexedKeyRegex),
+          announceMatch = key.match(announceKeyRegex);
+
+      if (match) return _modalJSON(match[1], subJSON, match[2]);
+      if (announceMatch) return {announce: [announcements[announceMatch[1]], subJSON]};
+      result[key] = (key === 'conj' || key === 'disj') ? _flatten(key, subJSON) : subJSON;
+    }
+
+    return result;
+  }
+
+  /**
+   * Replaces each outermost announcement operator '[!A]' in an MPL wff (in ASCII representation)
+   * with a numbered placeholder, adding the JSON of each announced formula A to a given array.
+   * @private
+   */
+  function _extractAnnouncements(ascii, announcements) {
+    var result = '', start;
+    while ((start = ascii.indexOf('[!')) !== -1) {
+      // find the matching close bracket
+      var depth = 0, end = start;
+      do {
+        if (ascii[end] === '[') depth++;
+        else if (ascii[end] === ']') depth--;
+        end++;
+      } while (depth && end < ascii.length);
+      if (depth) throw new SyntaxError('Invalid formula! Unclosed announcement.');
+
+      result += ascii.slice(0, start) + '[!' + announcements.length + ']';
+      announcements.push(_asciiToJSON(ascii.slice(start + 2, end - 1)));
+      ascii = ascii.slice(end);
+    }
+
+    return result + ascii;
+  }
+
+  /**
+   * Returns a tracked string for a given source string, i.e., an object with two properties:
+   * - text: a string converted from the source (initially, the source itself)
+   * - offsets: for each character of the text (and for its end), the corresponding offset in the source
+   * @private
+   */
+  function _track(source) {
+    var offsets = [];
+    for (var i = 0; i <= source.length; i++) offsets.push(i);
+
+    return {text: source, offsets: offsets};
+  }
+
+  /**
+   * Replaces each match of a global regex in the text of a tracked string, as with String.prototype.replace,
+   * given a replacement string (in which $1, $2, etc. refer to captured groups) or function.
+   * The characters of each replacement are tracked to the start of their match.
+   * @private
+   */
+  function _replaceTracked(tracked, regex, replacement) {
+    var text = '', offsets = [], last = 0;
+
+    tracked.text.replace(regex, function (match) {
+      var args = arguments,
+          index = args[args.length - 2],
+          replaced = (typeof replacement === 'function') ? replacement.apply(null, args)
+                   : replacement.replace(/\$(\d)/g, function (ref, group) { return args[group] || ''; });
+
+      text += tracked.text.slice(last, index) + replaced;
+      offsets = offsets.concat(tracked.offsets.slice(last, index));
+      for (var i = 0; i < replaced.length; i++) offsets.push(tracked.offsets[index]);
+
+      last = index + match.length;
+      return match;
+    });
+
+    return {text: text + tracked.text.slice(last), offsets: offsets.concat(tracked.offsets.slice(last))};
+  }
+
+  /**
+   * Creates a SyntaxError for an invalid formula, with three additional properties:
+   * - offset: the offset in the input at which the error was found
+   * - token: the offending token in the input ('' at the end of input)
+   * - expected: an array of descriptions of what would have been valid instead
+   * @private
+   */
+  function _syntaxError(message, offset, token, expected) {
+    var error = new SyntaxError(message);
+    error.offset = offset;
+    error.token = token;
+    error.expected = expected;
+
+    return error;
+  }
+
+  /**
+   * Finds the first syntax error in an MPL wff (in ASCII representation, with standard spellings)
+   * by following its grammar, returning an object with the offset and length of the offending token
+   * and an array of descriptions of what was expected; or null, if there is no error.
+   * @private
+   */
+  function _findSyntaxError(ascii) {
+    var pos = 0,
+        error = null;
+
+    function skipWhitespace() {
+      while (/\s/.test(ascii.charAt(pos))) pos++;
+    }
+
+    function fail(expected) {
+      var token = (pos < ascii.length) ? ascii.slice(pos).match(/^(?:\w+|<->|->|~&|\[\]|<>|\[!|\S)/)[0] : '';
+      error = {offset: pos, length: token.length, expected: expected};
+      return false;
+    }
+
+    // a subformula, followed by any number of binary connectives and subformulas, and then by the given closer
+    // (or by the end of input)
+    function formula(closer) {
+      if (!subformula()) return false;
+
+      var binary;
+      while ((skipWhitespace(), binary = ascii.slice(pos).match(/^(?:<->|->|~&|&|\||\^)/))) {
+        pos += binary[0].length;
+        if (!subformula()) return false;
+      }
+
+      if (closer ? ascii.charAt(pos) === closer : pos === ascii.length) return true;
+      return fail(['binary connective', closer ? "'" + closer + "'" : 'end of input']);
+    }
+
+    // a variable, a constant, a parenthesized formula, or a unary operator followed by a subformula
+    function subformula() {
+      skipWhitespace();
+      var rest = ascii.slice(pos),
+          match;
+
+      if ((match = rest.match(/^(?:~(?!&)|\[\]|<>|\[\w+\]|<\w+>)/))) {
+        pos += match[0].length;
+        return subformula();
+      } else if (rest.slice(0, 2) === '[!') {
+        pos += 2;
+        if (!formula(']')) return false;
+        pos++;
+        return subformula();
+      } else if (rest.charAt(0) === '(') {
+        pos++;
+        if (!formula(')')) return false;
+        pos++;
+        return true;
+      } else if ((match = rest.match(/^\w+/))) {
+        // a variable or constant, or else letter operators followed by a subformula
+        var word = _readWord(match[0], rest.slice(match[0].length));
+        pos += match[0].length;
+        return !word.operators.length || !!word.constant || subformula();
+      }
+
+      return fail(['subformula']);
+    }
+
+    formula();
+    return error;
+  }
+
+  /**
+   * Converts an MPL wff from ASCII to JSON, given the ASCII as a tracked string converted from some source
+   * (e.g., the wff's Unicode representation). Alternative spellings of connectives are accepted:
+   * '!' for '~' (except in an announcement '[!A]'), '&&' for '&', '||' for '|', '=>' for '->', and '<=>' for '<->'.
+   * If the wff is invalid, throws a SyntaxError locating the error in the source (see _syntaxError).
+   * @private
+   */
+  function _parse(source, tracked) {
+    tracked = [
+      [/!/g,   function (match, offset, text) { return (text[offset - 1] === '[') ? match : '~'; }],
+      [/&&/g,  '&'],
+      [/\|\|/g, '|'],
+      [/<=>/g, '<->'],
+      [/=>/g,  '->']
+    ].reduce(function (result, step) { return _replaceTracked(result, step[0], step[1]); }, tracked);
+
+    try {
+      return _asciiToJSON(tracked.text);
+    } catch (e) {
+      var error = _findSyntaxError(tracked.text);
+      if (!error) throw e;
+
+      var start = tracked.offsets[error.offset],
+          end = error.length ? Math.max(tracked.offsets[error.offset + error.length], start + 1) : start,
+          token = source.slice(start, end);
+
+      throw _syntaxError('Invalid formula! Expected ' + error.expected.join(' or ') + ' but found ' +
+                         (token ? "'" + token + "'" : 'end of input') + ' at position ' + start + '.',
+                         start, token, error.expected);
+    }
+  }
+
   /**
    * Converts an MPL wff from ASCII to JSON.
    * @private
    */
   function _asciiToJSON(ascii) {
-    return MPLParser.parse(ascii);
+    var agents = [],
+        announcements = [],
+        agentRegex = /\[(\w+)\]|<(\w+)>/g,
+        match;
+
+    ascii = _replaceWords(_extractAnnouncements(ascii, announcements), function (word) {
+      return word.operators.map(function (operator) { return '#' + operator; }).join('') + (word.constant || word.variable || '');
+    });
+
+    while ((match = agentRegex.exec(ascii)))
+      if (agents.indexOf(match[1] || match[2]) === -1) agents.push(match[1] || match[2]);
+
+    var parser = (!agents.length && !announcements.length) ? MPLParser : _makeIndexedParser(agents, announcements.length);
+    return _convertParserJSON(parser.parse(ascii), announcements);
+  }
+
+  /**
+   * Determines whether an MPL wff (in JSON representation) is atomic, i.e., a propositional variable or a truth constant.
+   * @private
+   */
+  function _isAtomic(json) {
+    return !!(json.prop || json.top || json.bot);
+  }
+
+  /**
+   * Returns the immediate subformulas of an MPL wff (in JSON representation).
+   * @private
+   */
+  function _children(json) {
+    if (_isAtomic(json)) return [];
+
+    var children = [];
+    for (var key in json)
+      if (key !== 'agent') children = children.concat(json[key]);
+
+    return children;
+  }
+
+  /**
+   * Returns the key of the main operator of an MPL wff (in JSON representation), e.g., 'prop' or 'nec'.
+   * @private
+   */
+  function _operator(json) {
+    return Object.keys(json).filter(function (key) { return key !== 'agent'; })[0];
+  }
+
+  /**
+   * Returns a copy of an MPL wff (in JSON representation) with each occurrence of a propositional variable
+   * replaced by another wff (in JSON representation).
+   * @private
+   */
+  function _substitute(json, propvar, replacement) {
+    if (_isAtomic(json)) return (json.prop === propvar) ? replacement : json;
+
+    var result = {};
+    for (var key in json)
+      result[key] = (key === 'agent') ? json.agent :
+                    Array.isArray(json[key]) ? json[key].map(function (subJSON) { return _substitute(subJSON, propvar, replacement); })
+                                             : _substitute(json[key], propvar, replacement);
+
+    return result;
+  }
+
+  /**
+   * Combines MPL wffs (in JSON representation) into a conjunction or disjunction (given by key), flattening them
+   * and omitting duplicates. Returns the only wff if there is just one, or null if there are no wffs to combine.
+   * @private
+   */
+  function _combine(key, jsons) {
+    jsons = _flatten(key, jsons);
+
+    var asciis = jsons.map(_jsonToASCII);
+    jsons = jsons.filter(function (json, index) { return asciis.indexOf(asciis[index]) === index; });
+    if (jsons.length < 2) return jsons[0] || null;
+
+    var combined = {};
+    combined[key] = jsons;
+    return combined;
+  }
+
+  // binary connectives by key, and the n-ary ones among them (whose operands are flattened when parsing)
+  var binariesByKey = binaries.reduce(function (result, binary) {
+        result[binary.key] = binary;
+        return result;
+      }, {}),
+      naryKeys = ['conj', 'disj'];
+
+  /**
+   * Returns the binary connective (from the table of binaries) of an MPL wff (in JSON representation),
+   * or null if it isn't a binary formula.
+   * @private
+   */
+  function _binaryOf(json) {
+    for (var key in binariesByKey)
+      if (json[key]) return binariesByKey[key];
+
+    return null;
+  }
+
+  /**
+   * Determines whether a binary subformula needs parentheses as the operand at a given index of a binary connective
+   * with a given number of operands, according to the precedence and associativity of the binary connectives.
+   * @private
+   */
+  function _needsParentheses(binary, parent, index, count) {
+    if (binary.precedence !== parent.precedence) return binary.precedence < parent.precedence;
+
+    // with equal precedence, only an operand with the same connective, on the side toward which it associates,
+    // can go without (unless the connective is n-ary, since the parser would flatten it)
+    var associatesHere = (parent.associativity === 'right') ? (index === count - 1) : (index === 0);
+    return !(binary === parent && associatesHere && naryKeys.indexOf(binary.key) === -1);
   }
 
   /**
    * Converts an MPL wff from JSON to ASCII.
+   * By default, every binary subformula is parenthesized; if minimal is true, only those parentheses are used
+   * which are needed to parse the result back into the same wff.
    * @private
    */
-  function _jsonToASCII(json) {
+  function _jsonToASCII(json, minimal) {
+    var binary = _binaryOf(json);
+
+    // converts the operand at a given index among a given number of operands
+    // (parenthesizing it, if minimal, when it is binary and isn't bound more loosely than its context)
+    function operand(sub, index, count) {
+      var ascii = _jsonToASCII(sub, minimal),
+          subBinary = _binaryOf(sub);
+
+      if (minimal && subBinary && (!binary || _needsParentheses(subBinary, binary, index, count)))
+        return '(' + ascii + ')';
+      return ascii;
+    }
+
+    // a letter operator is separated from an operand which begins with a word character (e.g., 'G p', but 'G~p')
+    function letterOperator(symbol, sub) {
+      var ascii = operand(sub);
+      return symbol + (/^\w/.test(ascii) ? ' ' : '') + ascii;
+    }
+
+    function operands(subs, symbol) {
+      var asciis = subs.map(function (sub, index) { return operand(sub, index, subs.length); }).join(' ' + symbol + ' ');
+      return minimal ? asciis : '(' + asciis + ')';
+    }
+
     if (json.prop)
       return json.prop;
+    else if (json.top)
+      return 'T';
+    else if (json.bot)
+      return 'F';
     else if (json.neg)
-      return '~' + _jsonToASCII(json.neg);
+      return '~' + operand(json.neg);
     else if (json.nec)
-      return '[]' + _jsonToASCII(json.nec);
+      return '[' + (json.agent || '') + ']' + operand(json.nec);
     else if (json.poss)
-      return '<>' + _jsonToASCII(json.poss);
-    else if (json.conj && json.conj.length === 2)
-      return '(' + _jsonToASCII(json.conj[0]) + ' & ' + _jsonToASCII(json.conj[1]) + ')';
-    else if (json.disj && json.disj.length === 2)
-      return '(' + _jsonToASCII(json.disj[0]) + ' | ' + _jsonToASCII(json.disj[1]) + ')';
+      return '<' + (json.agent || '') + '>' + operand(json.poss);
+    else if (json.futnec)
+      return letterOperator('G', json.futnec);
+    else if (json.futposs)
+      return letterOperator('F', json.futposs);
+    else if (json.pastnec)
+      return letterOperator('H', json.pastnec);
+    else if (json.pastposs)
+      return letterOperator('P', json.pastposs);
+    else if (json.announce && json.announce.length === 2)
+      return '[!' + _jsonToASCII(json.announce[0], minimal) + ']' + operand(json.announce[1]);
+    else if (json.ef)
+      return letterOperator('EF', json.ef);
+    else if (json.ag)
+      return letterOperator('AG', json.ag);
+    else if (json.af)
+      return letterOperator('AF', json.af);
+    else if (json.eg)
+      return letterOperator('EG', json.eg);
+    else if (json.conj && json.conj.length >= 2)
+      return operands(json.conj, '&');
+    else if (json.disj && json.disj.length >= 2)
+      return operands(json.disj, '|');
+    else if (json.xor && json.xor.length === 2)
+      return operands(json.xor, '^');
+    else if (json.nand && json.nand.length === 2)
+      return operands(json.nand, '~&');
     else if (json.impl && json.impl.length === 2)
-      return '(' + _jsonToASCII(json.impl[0]) + ' -> ' + _jsonToASCII(json.impl[1]) + ')';
+      return operands(json.impl, '->');
     else if (json.equi && json.equi.length === 2)
-      return '(' + _jsonToASCII(json.equi[0]) + ' <-> ' + _jsonToASCII(json.equi[1]) + ')';
+      return operands(json.equi, '<->');
     else
       throw new Error('Invalid JSON for formula!');
   }
@@ -69,13 +535,22 @@ var MPL = (function (FormulaParser) {
    * @private
    */
   function _asciiToLaTeX(ascii) {
-    return ascii.replace(/~/g,      '\\lnot{}')
-                .replace(/\[\]/g,   '\\Box{}')
-                .replace(/<>/g,     '\\Diamond{}')
-                .replace(/ & /g,    '\\land{}')
-                .replace(/ \| /g,   '\\lor{}')
-                .replace(/ <-> /g,  '\\leftrightarrow{}')
-                .replace(/ -> /g,   '\\rightarrow{}');
+    ascii = _replaceWords(ascii, function (word) {
+      return word.operators.map(function (operator) { return '\\mathsf{' + operator + '}'; }).join('') +
+             (word.constant ? (word.constant === 'T' ? '\\top{}' : '\\bot{}') : word.variable || '');
+    });
+
+    return ascii.replace(/ ~& /g,       '\\barwedge{}')
+                .replace(/ \^ /g,       '\\oplus{}')
+                .replace(/~/g,          '\\lnot{}')
+                .replace(/\[\]/g,       '\\Box{}')
+                .replace(/<>/g,         '\\Diamond{}')
+                .replace(/\[(\w+)\]/g,  '\\Box_{$1}')
+                .replace(/<(\w+)>/g,    '\\Diamond_{$1}')
+                .replace(/ & /g,        '\\land{}')
+                .replace(/ \| /g,       '\\lor{}')
+                .replace(/ <-> /g,      '\\leftrightarrow{}')
+                .replace(/ -> /g,       '\\rightarrow{}');
   }
 
   /**
@@ -83,17 +558,92 @@ var MPL = (function (FormulaParser) {
    * @private
    */
   function _asciiToUnicode(ascii) {
-    return ascii.replace(/~/g,    '\u00ac')
-                .replace(/\[\]/g, '\u25a1')
-                .replace(/<>/g,   '\u25ca')
-                .replace(/&/g,    '\u2227')
-                .replace(/\|/g,   '\u2228')
-                .replace(/<->/g,  '\u2194')
-                .replace(/->/g,   '\u2192');
+    ascii = _replaceWords(ascii, function (word) {
+      return word.operators.join('') + (word.constant ? (word.constant === 'T' ? '\u22a4' : '\u22a5') : word.variable || '');
+    });
+
+    return ascii.replace(/~&/g,       '\u22bc')
+                .replace(/\^/g,       '\u2295')
+                .replace(/~/g,        '\u00ac')
+                .replace(/\[\]/g,     '\u25a1')
+                .replace(/<>/g,       '\u25ca')
+                .replace(/<(\w+)>/g,  '\u27e8$1\u27e9')
+                .replace(/&/g,        '\u2227')
+                .replace(/\|/g,       '\u2228')
+                .replace(/<->/g,      '\u2194')
+                .replace(/->/g,       '\u2192');
+  }
+
+  // Unicode symbols (including alternatives to those which MPL produces) and their ASCII equivalents
+  var unicodeSymbols = {
+    '\u00ac': '~',
+    '\u25a1': '[]', '\u25fb': '[]',
+    '\u25ca': '<>', '\u25c7': '<>',
+    '\u27e8': '<',  '\u27e9': '>',
+    '\u2227': '&',  '\u2228': '|',
+    '\u2192': '->', '\u21d2': '->',
+    '\u2194': '<->', '\u21d4': '<->',
+    '\u22a4': 'T',  '\u22a5': 'F',
+    '\u2295': '^',  '\u22bc': '~&'
+  };
+
+  /**
+   * Converts an MPL wff from Unicode to ASCII (as a tracked string).
+   * @private
+   */
+  function _unicodeToASCII(unicode) {
+    var symbolRegex = new RegExp('[' + Object.keys(unicodeSymbols).join('') + ']', 'g');
+
+    return _replaceTracked(_track(unicode), symbolRegex, function (symbol) { return unicodeSymbols[symbol]; });
+  }
+
+  // LaTeX commands (including alternatives to those which MPL produces) and their ASCII equivalents
+  var latexCommands = {
+    lnot: '~', neg: '~',
+    Box: '[]', square: '[]',
+    Diamond: '<>', lozenge: '<>', diamond: '<>',
+    land: '&', wedge: '&',
+    lor: '|', vee: '|',
+    rightarrow: '->', to: '->', Rightarrow: '->', implies: '->',
+    leftrightarrow: '<->', Leftrightarrow: '<->', iff: '<->',
+    top: 'T', bot: 'F',
+    oplus: '^', barwedge: '~&'
+  };
+
+  /**
+   * Converts an MPL wff from LaTeX to ASCII (as a tracked string).
+   * Braces other than those of a command's (possibly empty) argument are read as parentheses.
+   * @private
+   */
+  function _latexToASCII(latex) {
+    var tracked = [
+      [/\$/g, ''],
+      [/\\(?:left|right)\b/g, ''],
+      [/\\[,;:! ]/g, ' '],
+      // (letter operators written as words of their own, e.g. '\mathsf{G}p', are kept apart from what follows)
+      [/\\(?:mathsf|mathrm|textsf|text)\s*\{\s*(\w+)\s*\}/g, function (match, word) {
+        return /^(?:EF|AG|AF|EG|[GFHP])+$/.test(word) ? word + ' ' : word;
+      }],
+      [/\\(Box|square)\s*_\s*(?:\{\s*(\w+)\s*\}|(\w))/g, '[$2$3]'],
+      [/\\(Diamond|lozenge|diamond)\s*_\s*(?:\{\s*(\w+)\s*\}|(\w))/g, '<$2$3>'],
+      [/\\langle\s*(\w+)\s*\\rangle/g, '<$1>']
+    ].reduce(function (result, step) { return _replaceTracked(result, step[0], step[1]); }, _track(latex));
+
+    tracked = _replaceTracked(tracked, /\\([a-zA-Z]+)(?:\s*\{\s*\})?/g, function (match, command, offset) {
+      if (!latexCommands.hasOwnProperty(command)) {
+        var start = tracked.offsets[offset];
+        throw _syntaxError('Invalid formula! Unknown LaTeX command \\' + command + ' at position ' + start + '.',
+                           start, '\\' + command, ['LaTeX command']);
+      }
+      return latexCommands[command];
+    });
+
+    return _replaceTracked(_replaceTracked(tracked, /\{/g, '('), /\}/g, ')');
   }
 
   /**
    * Constructor for MPL wff. Takes either ASCII or JSON representation as input.
+   * (ASCII input may also use the alternative spellings !, &&, ||, =>, and <=>; see also Wff.fromUnicode and Wff.fromLaTeX.)
    * @constructor
    */
   function Wff(asciiOrJSON) {
@@ -102,9 +652,11 @@ var MPL = (function (FormulaParser) {
 
     /**
      * Returns the ASCII representation of an MPL wff.
+     * If minimal is true, only the parentheses needed by the precedence and associativity of the binary connectives
+     * are included; otherwise, every binary subformula is parenthesized.
      */
-    this.ascii = function () {
-      return _ascii;
+    this.ascii = function (minimal) {
+      return minimal ? _jsonToASCII(_json, true) : _ascii;
     };
 
     /**
@@ -115,79 +667,293 @@ var MPL = (function (FormulaParser) {
     };
 
     /**
-     * Returns the LaTeX representation of an MPL wff.
+     * Returns the LaTeX representation of an MPL wff (with minimal parentheses if minimal is true, as for ascii).
+     */
+    this.latex = function (minimal) {
+      return minimal ? _asciiToLaTeX(_jsonToASCII(_json, true)) : _latex;
+    };
+
+    /**
+     * Returns the Unicode representation of an MPL wff (with minimal parentheses if minimal is true, as for ascii).
+     */
+    this.unicode = function (minimal) {
+      return minimal ? _asciiToUnicode(_jsonToASCII(_json, true)) : _unicode;
+    };
+
+    /**
+     * Returns an array of the distinct subformulas of an MPL wff (as Wffs), including itself.
+     * Each subformula comes after all of its own subformulas, so the wff itself is last.
+     */
+    this.subformulas = function () {
+      var subformulas = [], seen = Object.create(null);
+
+      (function collect(json) {
+        _children(json).forEach(collect);
+
+        var ascii = _jsonToASCII(json);
+        if (seen[ascii]) return;
+
+        seen[ascii] = true;
+        subformulas.push(new Wff(json));
+      })(_json);
+
+      return subformulas;
+    };
+
+    /**
+     * Returns an array of the distinct propositional variables of an MPL wff, in order of first occurrence.
+     */
+    this.variables = function () {
+      return _variables(_json);
+    };
+
+    /**
+     * Returns the modal depth of an MPL wff, i.e., the greatest number of nested modal operators.
+     * (Announcements are not modal operators themselves, but both of their subformulas count.)
+     */
+    this.modalDepth = function () {
+      return (function depth(json) {
+        var childDepth = Math.max.apply(null, [0].concat(_children(json).map(depth)));
+        return dualKeys[_operator(json)] ? childDepth + 1 : childDepth;
+      })(_json);
+    };
+
+    /**
+     * Returns an object mapping the key of each operator in an MPL wff (as in its JSON representation)
+     * to its number of occurrences.
+     */
+    this.connectiveCounts = function () {
+      var counts = {};
+
+      (function count(json) {
+        if (json.prop) return;
+
+        var key = _operator(json);
+        counts[key] = (counts[key] || 0) + 1;
+        _children(json).forEach(count);
+      })(_json);
+
+      return counts;
+    };
+
+    /**
+     * Returns the size of an MPL wff, i.e., its number of variable and operator occurrences.
+     */
+    this.size = function () {
+      return (function size(json) {
+        return _children(json).reduce(function (total, subJSON) { return total + size(subJSON); }, 1);
+      })(_json);
+    };
+
+    /**
+     * Returns the MPL wff resulting from replacing each occurrence of a given propositional variable with a given wff.
+     */
+    this.substitute = function (propvar, wff) {
+      if (!(wff instanceof Wff)) throw new Error('Invalid wff!');
+
+      return new Wff(_substitute(_json, propvar, wff.json()));
+    };
+
+    /**
+     * Returns an equivalent MPL wff in negation normal form, in which negation is only applied to
+     * propositional variables (being pushed through modal operators by duality) and ^, ~&, -> and <-> are rewritten.
+     */
+    this.nnf = function () {
+      return new Wff(_nnf(_json));
+    };
+
+    /**
+     * Returns an equivalent MPL wff in conjunctive normal form, treating modal subformulas as atoms.
+     */
+    this.cnf = function () {
+      return new Wff(_normalForm(_nnf(_json), 'conj', 'disj'));
+    };
+
+    /**
+     * Returns an equivalent MPL wff in disjunctive normal form, treating modal subformulas as atoms.
      */
-    this.latex = function () {
-      return _latex;
+    this.dnf = function () {
+      return new Wff(_normalForm(_nnf(_json), 'disj', 'conj'));
     };
 
     /**
-     * Returns the Unicode representation of an MPL wff.
+     * Returns an equivalent MPL wff, simplified by removing double negations, negating truth constants (e.g., ~T becomes F),
+     * replacing negated modal operators applied to negations with their duals (e.g., ~[]~A becomes <>A),
+     * and removing repeated conjuncts and disjuncts (e.g., (A & A) becomes A).
      */
-    this.unicode = function () {
-      return _unicode;
+    this.simplify = function () {
+      return new Wff(_simplify(_json));
     };
 
-    _json    = (typeof asciiOrJSON === 'object') ? asciiOrJSON : _asciiToJSON(asciiOrJSON);
+    _json    = (typeof asciiOrJSON === 'object') ? asciiOrJSON : _parse(asciiOrJSON, _track(asciiOrJSON));
     _ascii   = _jsonToASCII(_json);
     _latex   = _asciiToLaTeX(_ascii);
     _unicode = _asciiToUnicode(_ascii);
   }
 
+  /**
+   * Creates an MPL wff from its Unicode representation (which may also use ASCII or alternative symbols, e.g., '\u21d2').
+   */
+  Wff.fromUnicode = function (unicode) {
+    return new Wff(_parse(unicode, _unicodeToASCII(unicode)));
+  };
+
+  /**
+   * Creates an MPL wff from its LaTeX representation (which may also use alternative commands, e.g., '\\to').
+   */
+  Wff.fromLaTeX = function (latex) {
+    return new Wff(_parse(latex, _latexToASCII(latex)));
+  };
+
+  /**
+   * Determine whether a given name can be written as a propositional variable in a wff
+   * (i.e., it is alphanumeric and isn't read as a constant or a letter operator).
+   */
+  function isVariable(name) {
+    try {
+      return typeof name === 'string' && _asciiToJSON(name).prop === name;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Rules for closing an accessibility relation under each frame property.
+   * Each takes a state, its successors, a successor lookup, and a callback for adding transitions.
+   * @private
+   */
+  var _closureRules = {
+    reflexive: function (w, successors, successorsOf, add) {
+      add(w, w);
+    },
+    serial: function (w, successors, successorsOf, add) {
+      if (!successors.length) add(w, w);
+    },
+    symmetric: function (w, successors, successorsOf, add) {
+      successors.forEach(function (v) { add(v, w); });
+    },
+    transitive: function (w, successors, successorsOf, add) {
+      successors.forEach(function (v) {
+        successorsOf(v).forEach(function (u) { add(w, u); });
+      });
+    },
+    euclidean: function (w, successors, successorsOf, add) {
+      successors.forEach(function (v) {
+        successors.forEach(function (u) { add(v, u); });
+      });
+    }
+  };
+
+  /**
+   * Frame properties characterizing each of the standard modal systems.
+   */
+  var systems = {
+    K:  [],
+    T:  ['reflexive'],
+    D:  ['serial'],
+    B:  ['reflexive', 'symmetric'],
+    S4: ['reflexive', 'transitive'],
+    S5: ['reflexive', 'symmetric', 'transitive']
+  };
+
   /**
    * Constructor for Kripke model. Takes no initial input.
    * @constructor
    */
   function Model() {
     // Array of states (worlds) in model.
-    // Each state is an object with two properties:
-    // - assignment: a truth assignment (in which only true values are actually stored)
+    // Each state is an object with three properties:
+    // - assignment: a truth assignment (in which only true values are actually stored;
+    //               it has no prototype, so that variables like 'constructor' are looked up safely)
     // - successors: an array of successor state indices (in lieu of a separate accessibility relation)
-    // ex: [{assignment: {},          successors: [0,1]},
-    //      {assignment: {'p': true}, successors: []   }]
+    // - agentSuccessors: an object mapping each agent to an array of successor state indices
+    //                    (for the labelled accessibility relations used by indexed modal operators;
+    //                    it has no prototype, so that agents like 'toString' are looked up safely)
+    // ex: [{assignment: {},          successors: [0,1], agentSuccessors: {'a': [1]}},
+    //      {assignment: {'p': true}, successors: [],    agentSuccessors: {}        }]
     var _states = [];
 
+    // Returns the successor array of a state for a given agent (or for the unlabelled relation, if no agent is given).
+    // If create is true, a missing successor array is added to the state.
+    function successorsFor(state, agent, create) {
+      if (agent === undefined || agent === null) return state.successors;
+
+      if (create && !state.agentSuccessors[agent]) state.agentSuccessors[agent] = [];
+      return state.agentSuccessors[agent] || [];
+    }
+
     /**
-     * Adds a transition to the model, given source and target state indices.
+     * Adds a transition to the model, given source and target state indices and an optional agent.
      */
-    this.addTransition = function (source, target) {
+    this.addTransition = function (source, target, agent) {
       if (!_states[source] || !_states[target]) return;
 
-      var successors = _states[source].successors,
+      var successors = successorsFor(_states[source], agent, true),
           index = successors.indexOf(target);
       if (index === -1) successors.push(target);
     };
 
     /**
-     * Removes a transition from the model, given source and target state indices.
+     * Removes a transition from the model, given source and target state indices and an optional agent.
      */
-    this.removeTransition = function (source, target) {
+    this.removeTransition = function (source, target, agent) {
       if (!_states[source]) return;
 
-      var successors = _states[source].successors,
+      var successors = successorsFor(_states[source], agent),
           index = successors.indexOf(target);
       if (index !== -1) successors.splice(index, 1);
     };
 
     /**
-     * Returns an array of successor states for a given state index.
+     * Returns an array of successor states for a given state index and an optional agent.
      */
-    this.getSuccessorsOf = function (source) {
+    this.getSuccessorsOf = function (source, agent) {
       if (!_states[source]) return undefined;
 
-      return _states[source].successors;
+      return successorsFor(_states[source], agent);
+    };
+
+    /**
+     * Returns an array of predecessor states for a given state index and an optional agent.
+     */
+    this.getPredecessorsOf = function (target, agent) {
+      if (!_states[target]) return undefined;
+
+      var predecessors = [];
+      _states.forEach(function (state, index) {
+        if (state && successorsFor(state, agent).indexOf(target) !== -1) predecessors.push(index);
+      });
+
+      return predecessors;
+    };
+
+    /**
+     * Returns an array of the agents which label accessibility relations in the model.
+     */
+    this.getAgents = function () {
+      var agents = [];
+      _states.forEach(function (state) {
+        if (!state) return;
+
+        for (var agent in state.agentSuccessors)
+          if (agents.indexOf(agent) === -1) agents.push(agent);
+      });
+
+      return agents;
     };
 
     /**
      * Adds a state with a given assignment to the model.
      */
     this.addState = function (assignment) {
-      var processedAssignment = {};
+      _checkAssignment(assignment);
+
+      var processedAssignment = Object.create(null);
       for (var propvar in assignment)
         if (assignment[propvar] === true)
           processedAssignment[propvar] = assignment[propvar];
 
-      _states.push({assignment: processedAssignment, successors: []});
+      _states.push({assignment: processedAssignment, successors: [], agentSuccessors: Object.create(null)});
     };
 
     /**
@@ -195,6 +961,7 @@ var MPL = (function (FormulaParser) {
      */
     this.editState = function (state, assignment) {
       if (!_states[state]) return;
+      _checkAssignment(assignment);
 
       var stateAssignment = _states[state].assignment;
       for (var propvar in assignment)
@@ -209,9 +976,14 @@ var MPL = (function (FormulaParser) {
       if (!_states[state]) return;
       var self = this;
 
+      var agents = this.getAgents();
+
       _states[state] = null;
       _states.forEach(function (source, index) {
-        if (source) self.removeTransition(index, state);
+        if (!source) return;
+
+        self.removeTransition(index, state);
+        agents.forEach(function (agent) { self.removeTransition(index, state, agent); });
       });
     };
 
@@ -239,17 +1011,140 @@ var MPL = (function (FormulaParser) {
     };
 
     /**
-     * Returns current model as a compact string suitable for use as a URL parameter.
-     * ex: [{assignment: {'q': true}, successors: [0,2]}, null, {assignment: {}, successors: []}]
-     *     compresses to 'AqS0,2;;AS;'
+     * Returns which standard frame properties the accessibility relation has.
+     * (If an agent is given, its labelled accessibility relation is checked instead.)
+     * Each property maps to an object {holds, witness}, where witness is null if the property holds
+     * and otherwise an array of state indices that breaks it:
+     * - reflexive:  [w]       where not wRw
+     * - serial:     [w]       where w has no successors
+     * - symmetric:  [w, v]    where wRv but not vRw
+     * - transitive: [w, v, u] where wRv and vRu but not wRu
+     * - euclidean:  [w, v, u] where wRv and wRu but not vRu
      */
-    this.getModelString = function () {
-      var modelString = '';
+    this.frameProperties = function (agent) {
+      var liveStates = [];
+      _states.forEach(function (state, index) {
+        if (state) liveStates.push(index);
+      });
+
+      function successorsOf(state) {
+        return successorsFor(_states[state], agent);
+      }
+
+      function related(source, target) {
+        return successorsOf(source).indexOf(target) !== -1;
+      }
+
+      // returns the first witness found by test at some live state, or null
+      function findWitness(test) {
+        for (var i = 0; i < liveStates.length; i++) {
+          var witness = test(liveStates[i], successorsOf(liveStates[i]));
+          if (witness) return witness;
+        }
+        return null;
+      }
+
+      // returns the first witness found by test for some pair of successors, or null
+      function findSuccessorPair(successors, test) {
+        for (var i = 0; i < successors.length; i++)
+          for (var j = 0; j < successors.length; j++) {
+            var witness = test(successors[i], successors[j]);
+            if (witness) return witness;
+          }
+        return null;
+      }
+
+      var witnesses = {
+        reflexive: findWitness(function (w) {
+          return related(w, w) ? null : [w];
+        }),
+        serial: findWitness(function (w, successors) {
+          return successors.length ? null : [w];
+        }),
+        symmetric: findWitness(function (w, successors) {
+          for (var i = 0; i < successors.length; i++)
+            if (!related(successors[i], w)) return [w, successors[i]];
+          return null;
+        }),
+        transitive: findWitness(function (w, successors) {
+          for (var i = 0; i < successors.length; i++) {
+            var v = successors[i], vSuccessors = successorsOf(v);
+            for (var j = 0; j < vSuccessors.length; j++)
+              if (!related(w, vSuccessors[j])) return [w, v, vSuccessors[j]];
+          }
+          return null;
+        }),
+        euclidean: findWitness(function (w, successors) {
+          return findSuccessorPair(successors, function (v, u) {
+            return related(v, u) ? null : [w, v, u];
+          });
+        })
+      };
+
+      var properties = {};
+      for (var property in witnesses)
+        properties[property] = {holds: !witnesses[property], witness: witnesses[property]};
+
+      return properties;
+    };
+
+    /**
+     * Closes the accessibility relation under the given frame properties by adding transitions,
+     * and returns the added transitions as an array of [source, target] pairs.
+     * Supported properties are 'reflexive', 'serial', 'symmetric', 'transitive', and 'euclidean'.
+     * (Serial closure gives each state without successors a reflexive transition.)
+     * If an agent is given, its labelled accessibility relation is closed instead.
+     */
+    this.closeUnder = function (properties, agent) {
+      var self = this,
+          added = [],
+          changed = true;
+
+      properties.forEach(function (property) {
+        if (!(property in _closureRules)) throw new Error('Unknown frame property: ' + property);
+      });
+
+      function add(source, target) {
+        if (successorsFor(_states[source], agent).indexOf(target) !== -1) return;
+
+        self.addTransition(source, target, agent);
+        added.push([source, target]);
+        changed = true;
+      }
+
+      // apply closure rules until nothing more needs to be added
+      while (changed) {
+        changed = false;
+        _states.forEach(function (state, index) {
+          if (!state) return;
+
+          properties.forEach(function (property) {
+            _closureRules[property](index, successorsFor(state, agent).slice(), function (w) {
+              return successorsFor(_states[w], agent).slice();
+            }, add);
+          });
+        });
+      }
+
+      return added;
+    };
+
+    /**
+     * Returns current model as a compact string suitable for use as a URL parameter.
+     * ex: [{assignment: {'q': true}, successors: [0,2], agentSuccessors: {'a': [2]}}, null,
+     *      {assignment: {}, successors: [], agentSuccessors: {}}]
+     *     compresses to 'AqS0,2Ra:2;;AS;'
+     */
+    this.getModelString = function () {
+      var modelString = '';
 
       _states.forEach(function (state) {
         if (state) {
           modelString += 'A' + Object.keys(state.assignment).join();
           modelString += 'S' + state.successors.join();
+          for (var agent in state.agentSuccessors)
+            if (state.agentSuccessors[agent].length)
+              modelString += 'R' + agent + ':' + state.agentSuccessors[agent].join();
         }
         modelString += ';';
       });
@@ -261,13 +1156,14 @@ var MPL = (function (FormulaParser) {
      * Restores a model from a given model string.
      */
     this.loadFromModelString = function (modelString) {
-      var regex = /^(?:;|(?:A|A(?:\w+,)*\w+)(?:S|S(?:\d+,)*\d+);)+$/;
+      var regex = /^(?:;|(?:A|A(?:\w+,)*\w+)(?:S|S(?:\d+,)*\d+)(?:R\w+:(?:\d+,)*\d+)*;)+$/;
       if (!regex.test(modelString)) return;
 
       _states = [];
 
       var self = this,
           successorLists = [],
+          stateRegex = /^A((?:\w+,)*\w+)?S((?:\d+,)*\d+)?((?:R\w+:(?:\d+,)*\d+)*)$/,
           inputStates = modelString.split(';').slice(0, -1);
 
       // restore states
@@ -278,14 +1174,22 @@ var MPL = (function (FormulaParser) {
           return;
         }
 
-        var stateProperties = state.match(/A(.*)S(.*)/).slice(1, 3)
-                                   .map(function (substr) { return (substr ? substr.split(',') : []); });
+        var stateProperties = state.match(stateRegex).slice(1, 4),
+            toList = function (substr) { return (substr ? substr.split(',') : []); };
+
+        var assignment = Object.create(null);
+        toList(stateProperties[0]).forEach(function (propvar) { assignment[propvar] = true; });
+        _states.push({assignment: assignment, successors: [], agentSuccessors: Object.create(null)});
 
-        var assignment = {};
-        stateProperties[0].forEach(function (propvar) { assignment[propvar] = true; });
-        _states.push({assignment: assignment, successors: []});
+        // successor lists are keyed by agent, with '' for the unlabelled relation
+        var toStates = function (substr) { return toList(substr).map(function (succState) { return +succState; }); },
+            successors = Object.create(null),
+            agentRegex = /R(\w+):([\d,]+)/g,
+            match;
+        successors[''] = toStates(stateProperties[1]);
+        while ((match = agentRegex.exec(stateProperties[2])))
+          successors[match[1]] = toStates(match[2]);
 
-        var successors = stateProperties[1].map(function (succState) { return +succState; });
         successorLists.push(successors);
       });
 
@@ -293,54 +1197,1801 @@ var MPL = (function (FormulaParser) {
       successorLists.forEach(function (successors, source) {
         if (!successors) return;
 
-        successors.forEach(function (target) {
-          self.addTransition(source, target);
+        for (var agent in successors)
+          successors[agent].forEach(function (target) {
+            self.addTransition(source, target, agent || undefined);
+          });
+      });
+    };
+
+    /**
+     * Returns the model as a plain object following the model JSON schema (see Model.fromJSON),
+     * optionally including extra information given as an object with any of these properties:
+     * - variables: an array of propositional variables, in order (any others true at some state are added after them)
+     * - states: an array giving, for each state index, an object with an optional label and x and y coordinates
+     * - formula: an MPL wff to attach to the model
+     * (This also makes JSON.stringify(model) produce the model's JSON.)
+     */
+    this.toJSON = function (extras) {
+      extras = (extras && typeof extras === 'object') ? extras : {};
+
+      var variables = extras.variables ? extras.variables.slice() : [],
+          extraStates = extras.states || [];
+
+      var states = _states.map(function (state, index) {
+        if (!state) return null;
+
+        // (every variable true at a state must be listed, for the JSON to be loadable)
+        var assignment = Object.keys(state.assignment),
+            agentSuccessors = Object.create(null);
+        assignment.forEach(function (propvar) {
+          if (variables.indexOf(propvar) === -1) variables.push(propvar);
+        });
+
+        for (var agent in state.agentSuccessors)
+          if (state.agentSuccessors[agent].length) agentSuccessors[agent] = state.agentSuccessors[agent].slice();
+
+        var stateJSON = {assignment: assignment, successors: state.successors.slice(), agentSuccessors: agentSuccessors},
+            extra = extraStates[index] || {};
+        ['label', 'x', 'y'].forEach(function (property) {
+          if (extra[property] !== undefined) stateJSON[property] = extra[property];
+        });
+
+        return stateJSON;
+      });
+
+      var json = {variables: variables, states: states};
+      if (extras.formula) json.formula = extras.formula.ascii();
+
+      return json;
+    };
+
+    /**
+     * Returns the model in GraphViz DOT format. Each state is labelled by its name (its label if given, or w0, w1, etc.)
+     * and the propositional variables true there, and each transition of an agent is labelled by the agent.
+     * Optionally takes extra information as for toJSON; states' positions are given as pos attributes (e.g., for neato -n).
+     */
+    this.toDOT = function (extras) {
+      var json = this.toJSON(extras),
+          lines = ['digraph {', '  node [shape=circle];'];
+
+      function escape(text) {
+        return text.replace(/[\\"]/g, '\\$&');
+      }
+
+      json.states.forEach(function (state, index) {
+        if (!state) return;
+
+        var label = [state.label || 'w' + index],
+            propvars = _trueVariables(state, json.variables);
+        if (propvars.length) label.push(propvars.join(', '));
+
+        var attributes = ['label="' + label.map(escape).join('\\n') + '"'];
+        if (state.x !== undefined && state.y !== undefined) attributes.push('pos="' + state.x + ',' + -state.y + '"');
+        lines.push('  w' + index + ' [' + attributes.join(', ') + '];');
+      });
+
+      json.states.forEach(function (state, source) {
+        if (!state) return;
+
+        state.successors.forEach(function (target) {
+          lines.push('  w' + source + ' -> w' + target + ';');
+        });
+        for (var agent in state.agentSuccessors)
+          state.agentSuccessors[agent].forEach(function (target) {
+            lines.push('  w' + source + ' -> w' + target + ' [label="' + escape(agent) + '"];');
+          });
+      });
+
+      lines.push('}');
+      return lines.join('\n') + '\n';
+    };
+
+    /**
+     * Returns the model as a TikZ picture. Each state is drawn with its name (its label if given, or w_0, w_1, etc.)
+     * and labelled below by the propositional variables true there; each transition of an agent is labelled by the agent.
+     * Optionally takes extra information as for toJSON; states with positions are placed there
+     * (at a scale of 50 units per centimetre, with y pointing down as on screen), and other states are placed in a circle.
+     */
+    this.toTikZ = function (extras) {
+      var json = this.toJSON(extras),
+          self = this,
+          live = _liveStates(this),
+          relations = [undefined].concat(this.getAgents()),
+          loopDirections = ['above', 'right', 'below', 'left'],
+          lines = ['\\begin{tikzpicture}[>=stealth, auto, state/.style={circle, draw, minimum size=2em}]'];
+
+      function coordinate(value) {
+        return (Math.round(value * 100) / 100).toFixed(2);
+      }
+
+      live.forEach(function (index, position) {
+        var state = json.states[index],
+            angle = Math.PI / 2 - 2 * Math.PI * position / live.length,
+            radius = Math.max(1.5, live.length / 2),
+            x = (state.x !== undefined && state.y !== undefined) ? state.x / 50 : radius * Math.cos(angle),
+            y = (state.x !== undefined && state.y !== undefined) ? -state.y / 50 : radius * Math.sin(angle),
+            name = (state.label !== undefined) ? _escapeTeX(state.label) : '$w_{' + index + '}$',
+            propvars = _trueVariables(state, json.variables),
+            options = propvars.length ? 'state, label=below:{$' + propvars.map(_mathName).join(', ') + '$}' : 'state';
+
+        lines.push('  \\node[' + options + '] (w' + index + ') at (' + coordinate(x) + ', ' + coordinate(y) + ') {' + name + '};');
+      });
+
+      live.forEach(function (source) {
+        relations.forEach(function (agent, k) {
+          var label = agent ? ' node {$' + _mathName(agent) + '$}' : '';
+
+          self.getSuccessorsOf(source, agent).forEach(function (target) {
+            // loops of different relations point different ways, and edges bend apart from their reverses
+            // and from the same edges of other relations
+            var bend = 15 * (2 * k + (self.getSuccessorsOf(target, agent).indexOf(source) !== -1 ? 1 : 0)),
+                path = (source === target) ? 'loop ' + loopDirections[k % loopDirections.length]
+                     : (bend ? 'bend left=' + bend : '');
+
+            lines.push('  \\draw[->] (w' + source + ') to' + (path ? '[' + path + ']' : '') + label + ' (w' + target + ');');
+          });
+        });
+      });
+
+      lines.push('\\end{tikzpicture}');
+      return lines.join('\n') + '\n';
+    };
+
+    /**
+     * Returns a new model resulting from the public announcement of a given MPL wff,
+     * i.e., the restriction of this model to the states where the wff is true.
+     * (States keep their indices; eliminated states are removed.)
+     */
+    this.announce = function (wff) {
+      if (!(wff instanceof MPL.Wff)) throw new Error('Invalid wff!');
+
+      return _announce(this, wff.json());
+    };
+
+    /**
+     * Returns the bisimulation contraction of the model, i.e., the smallest model bisimilar to it,
+     * as an object with two properties:
+     * - model: the contracted model, with one state for each class of bisimilar states
+     * - mapping: an array giving the new state index (or null, for removed states) of each old state index
+     */
+    this.minimize = function () {
+      var mapping = _bisimulationClasses([this])[0],
+          states = this.getStates(),
+          agents = this.getAgents(),
+          self = this;
+
+      // classes are numbered in order of their first state, so each class's first state appears in order
+      var minimized = new Model();
+      states.forEach(function (assignment, state) {
+        if (assignment && mapping[state] === minimized.getStates().length) minimized.addState(assignment);
+      });
+
+      states.forEach(function (assignment, source) {
+        if (!assignment) return;
+
+        [undefined].concat(agents).forEach(function (agent) {
+          self.getSuccessorsOf(source, agent).forEach(function (target) {
+            minimized.addTransition(mapping[source], mapping[target], agent);
+          });
         });
       });
+
+      return {model: minimized, mapping: mapping};
     };
   }
 
   /**
-   * Evaluate the truth of an MPL wff (in JSON representation) at a given state within a given model.
+   * Returns the propositional variables true at a state (given in model JSON), ordered as in a given array of variables.
    * @private
    */
-  function _truth(model, state, json) {
-    if (json.prop)
-      return model.valuation(json.prop, state);
-    else if (json.neg)
-      return !_truth(model, state, json.neg);
-    else if (json.conj)
-      return (_truth(model, state, json.conj[0]) && _truth(model, state, json.conj[1]));
-    else if (json.disj)
-      return (_truth(model, state, json.disj[0]) || _truth(model, state, json.disj[1]));
-    else if (json.impl)
-      return (!_truth(model, state, json.impl[0]) || _truth(model, state, json.impl[1]));
-    else if (json.equi)
-      return (_truth(model, state, json.equi[0]) === _truth(model, state, json.equi[1]));
-    else if (json.nec)
-      return model.getSuccessorsOf(state).every(function (succState) { return _truth(model, succState, json.nec); });
-    else if (json.poss)
-      return model.getSuccessorsOf(state).some(function (succState) { return _truth(model, succState, json.poss); });
-    else
-      throw new Error('Invalid formula!');
+  function _trueVariables(state, variables) {
+    return variables.filter(function (propvar) { return state.assignment.indexOf(propvar) !== -1; })
+      .concat(state.assignment.filter(function (propvar) { return variables.indexOf(propvar) === -1; }));
   }
 
   /**
-   * Evaluate the truth of an MPL wff at a given state within a given model.
+   * Returns a variable or agent name for use in LaTeX math mode, as a single italic word (with any underscores escaped).
+   * @private
    */
-  function truth(model, state, wff) {
-    if (!(model instanceof MPL.Model)) throw new Error('Invalid model!');
-    if (!model.getStates()[state]) throw new Error('State ' + state + ' not found!');
-    if (!(wff instanceof MPL.Wff)) throw new Error('Invalid wff!');
+  function _mathName(name) {
+    return '\\mathit{' + name.replace(/_/g, '\\_') + '}';
+  }
 
-    return _truth(model, state, wff.json());
+  /**
+   * Escapes the characters of a string which are special in LaTeX text.
+   * @private
+   */
+  function _escapeTeX(text) {
+    return text.replace(/[\\{}$&#^_%~]/g, function (char) {
+      return {'\\': '\\textbackslash{}', '^': '\\textasciicircum{}', '~': '\\textasciitilde{}'}[char] || '\\' + char;
+    });
+  }
+
+  /**
+   * Determines whether a given value is a valid propositional variable name for a model,
+   * which (unlike in a formula) may also be a truth constant or a letter operator.
+   * @private
+   */
+  function _isModelVariable(name) {
+    return typeof name === 'string' && /^\w+$/.test(name);
+  }
+
+  /**
+   * Throws an error if a given assignment has a true propositional variable with an invalid name.
+   * @private
+   */
+  function _checkAssignment(assignment) {
+    for (var propvar in assignment)
+      if (assignment[propvar] === true && !_isModelVariable(propvar))
+        throw new Error('Invalid propositional variable ' + JSON.stringify(propvar) + '.');
+  }
+
+  /**
+   * Creates an error for invalid model JSON, with an additional property path locating the problem
+   * (e.g., 'states[1].successors[0]', or '' for the JSON as a whole).
+   * @private
+   */
+  function _modelJSONError(path, problem) {
+    var error = new Error('Invalid model JSON' + (path ? ' at ' + path : '') + ': ' + problem);
+    error.path = path;
+
+    return error;
+  }
+
+  /**
+   * Checks that a given object follows the model JSON schema (see Model.fromJSON),
+   * throwing an error locating the first problem found.
+   * @private
+   */
+  function _validateModelJSON(json) {
+    function isObject(value) {
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function checkArray(value, path, checkItem) {
+      if (!Array.isArray(value)) throw _modelJSONError(path, 'expected an array.');
+      value.forEach(function (item, index) { checkItem(item, path + '[' + index + ']', index); });
+    }
+
+    if (!isObject(json)) throw _modelJSONError('', 'expected an object.');
+
+    if (json.variables !== undefined)
+      checkArray(json.variables, 'variables', function (propvar, path, index) {
+        if (!_isModelVariable(propvar)) throw _modelJSONError(path, 'expected a propositional variable.');
+        if (json.variables.indexOf(propvar) !== index) throw _modelJSONError(path, 'duplicate variable ' + propvar + '.');
+      });
+
+    function checkSuccessors(successors, path) {
+      checkArray(successors, path, function (target, path) {
+        if (typeof target !== 'number' || !isObject(json.states[target]))
+          throw _modelJSONError(path, 'expected the index of a state.');
+      });
+    }
+
+    checkArray(json.states, 'states', function (state, path) {
+      if (state === null) return;
+      if (!isObject(state)) throw _modelJSONError(path, 'expected a state object or null.');
+
+      checkArray(state.assignment, path + '.assignment', function (propvar, path) {
+        if (!_isModelVariable(propvar)) throw _modelJSONError(path, 'expected a propositional variable.');
+        if (json.variables && json.variables.indexOf(propvar) === -1)
+          throw _modelJSONError(path, 'variable ' + propvar + ' is not listed in variables.');
+      });
+
+      checkSuccessors(state.successors, path + '.successors');
+
+      if (state.agentSuccessors !== undefined) {
+        if (!isObject(state.agentSuccessors)) throw _modelJSONError(path + '.agentSuccessors', 'expected an object.');
+        for (var agent in state.agentSuccessors) {
+          if (!/^\w+$/.test(agent)) throw _modelJSONError(path + '.agentSuccessors', 'invalid agent ' + agent + '.');
+          checkSuccessors(state.agentSuccessors[agent], path + '.agentSuccessors.' + agent);
+        }
+      }
+
+      if (state.label !== undefined && typeof state.label !== 'string')
+        throw _modelJSONError(path + '.label', 'expected a string.');
+      ['x', 'y'].forEach(function (coordinate) {
+        if (state[coordinate] !== undefined && !(typeof state[coordinate] === 'number' && isFinite(state[coordinate])))
+          throw _modelJSONError(path + '.' + coordinate, 'expected a number.');
+      });
+    });
+
+    if (json.formula !== undefined) {
+      if (typeof json.formula !== 'string') throw _modelJSONError('formula', 'expected a string.');
+      try {
+        new Wff(json.formula);
+      } catch (e) {
+        throw _modelJSONError('formula', e.message);
+      }
+    }
+  }
+
+  /**
+   * Creates a Kripke model from its JSON (as an object or a JSON string), which must follow this schema:
+   * - variables (optional): an array of the propositional variables, in order
+   * - states: an array giving, for each state index, null (for a removed state) or an object with properties
+   *   - assignment: an array of the propositional variables true at the state (each listed in variables, if given)
+   *   - successors: an array of successor state indices
+   *   - agentSuccessors (optional): an object mapping each agent to an array of successor state indices
+   *   - label (optional): a string labelling the state
+   *   - x, y (optional): numbers giving the position of the state
+   * - formula (optional): an MPL wff in ASCII representation
+   * Other properties are ignored. Throws an error if the JSON doesn't follow the schema (see _modelJSONError).
+   */
+  Model.fromJSON = function (json) {
+    if (typeof json === 'string') {
+      try {
+        json = JSON.parse(json);
+      } catch (e) {
+        throw _modelJSONError('', e.message);
+      }
+    }
+    _validateModelJSON(json);
+
+    var model = new Model();
+    json.states.forEach(function (state) {
+      var assignment = Object.create(null);
+      if (state) state.assignment.forEach(function (propvar) { assignment[propvar] = true; });
+      model.addState(assignment);
+    });
+
+    json.states.forEach(function (state, source) {
+      if (!state) return;
+
+      state.successors.forEach(function (target) { model.addTransition(source, target); });
+      for (var agent in state.agentSuccessors)
+        state.agentSuccessors[agent].forEach(function (target) { model.addTransition(source, target, agent); });
+    });
+
+    json.states.forEach(function (state, index) {
+      if (!state) model.removeState(index);
+    });
+
+    return model;
+  };
+
+  /**
+   * Creates an error for an invalid model in a text-based format (e.g., 'model text' or 'DOT'),
+   * with two additional properties, line and column, locating the problem (both starting from 1).
+   * @private
+   */
+  function _textError(format, problem, line, column) {
+    var error = new Error('Invalid ' + format + ' at line ' + line + ', column ' + column + ': ' + problem);
+    error.line = line;
+    error.column = column;
+
+    return error;
+  }
+
+  /**
+   * Collects states by name, in order of first appearance, as states of model JSON (see Model.fromJSON).
+   * Returns an object with these functions:
+   * - count(): returns the number of states collected
+   * - state(name): returns the index of the named state, adding it if needed
+   * - get(index): returns the state (in model JSON) with a given index
+   * - addTransition(source, target, agent): adds a transition between state indices (for an agent, if given)
+   * - toJSON(): returns the model JSON of the states collected
+   * @private
+   */
+  function _namedStates() {
+    var names = [],
+        states = [];
+
+    return {
+      count: function () {
+        return states.length;
+      },
+      state: function (name) {
+        var index = names.indexOf(name);
+        if (index !== -1) return index;
+
+        names.push(name);
+        states.push({assignment: [], successors: [], agentSuccessors: Object.create(null)});
+        return names.length - 1;
+      },
+      get: function (index) {
+        return states[index];
+      },
+      addTransition: function (source, target, agent) {
+        var successors = agent ? (states[source].agentSuccessors[agent] = states[source].agentSuccessors[agent] || [])
+                               : states[source].successors;
+        if (successors.indexOf(target) === -1) successors.push(target);
+      },
+      toJSON: function () {
+        return {states: states};
+      }
+    };
+  }
+
+  /**
+   * Creates a Kripke model from plain text, in which each line describes a state: its name,
+   * then optionally a colon and the propositional variables true there, and then any number of arrows,
+   * each followed by the names of successor states. An arrow is '->' for the unlabelled relation
+   * or '-a->' for agent a. Names are separated by commas, and '#' begins a comment.
+   * ex: 'w0: p, q -> w1, w2 -a-> w0\nw1: -> w1\nw2: q'
+   * States are numbered in order of first appearance, whether they are described or only named as a successor.
+   * Throws an error locating the first problem found (see _textError).
+   */
+  Model.fromText = function (text) {
+    var states = _namedStates(),
+        described = [];
+
+    text.split(/\r\n?|\n/).forEach(function (line, lineIndex) {
+      var pos = 0;
+      line = line.replace(/#.*/, '');
+      if (!line.trim()) return;
+
+      function fail(problem, at) {
+        throw _textError('model text', problem, lineIndex + 1, (at === undefined ? pos : at) + 1);
+      }
+
+      function skipWhitespace() {
+        while (/\s/.test(line.charAt(pos))) pos++;
+      }
+
+      function name(description) {
+        skipWhitespace();
+        var match = line.slice(pos).match(/^\w+/);
+        if (!match) fail('expected ' + description + '.');
+
+        pos += match[0].length;
+        return match[0];
+      }
+
+      // a comma-separated list of names, each passed to a callback along with its position
+      function names(description, callback) {
+        for (;;) {
+          skipWhitespace();
+          var start = pos;
+          callback(name(description), start);
+
+          skipWhitespace();
+          if (line.charAt(pos) !== ',') return;
+          pos++;
+        }
+      }
+
+      var start = (skipWhitespace(), pos),
+          source = states.state(name('a state name')),
+          state = states.get(source);
+      if (described[source]) fail('state ' + line.slice(start, pos) + ' is already described.', start);
+      described[source] = true;
+
+      skipWhitespace();
+      if (line.charAt(pos) === ':') {
+        pos++;
+        skipWhitespace();
+        if (pos < line.length && line.charAt(pos) !== '-')
+          names('a propositional variable', function (propvar) {
+            if (state.assignment.indexOf(propvar) === -1) state.assignment.push(propvar);
+          });
+      }
+
+      while ((skipWhitespace(), pos < line.length)) {
+        var arrow = line.slice(pos).match(/^-(?:(\w+)-)?>/);
+        if (!arrow) fail("expected an arrow ('->' or '-agent->') or the end of the line.");
+        pos += arrow[0].length;
+
+        names('a state name', function (target) {
+          states.addTransition(source, states.state(target), arrow[1]);
+        });
+      }
+    });
+
+    return Model.fromJSON(states.toJSON());
+  };
+
+  /**
+   * Splits DOT into tokens, each an object with a type ('id', 'punctuation', or 'end'), a value, and a line and column.
+   * Comments are skipped; quoted IDs are unquoted (with escaped quotes unescaped).
+   * @private
+   */
+  function _tokenizeDOT(dot) {
+    var tokenRegex = /(\s+|\/\/.*|\/\*[\s\S]*?\*\/|^#.*)|"((?:[^"\\]|\\[\s\S])*)"|(->|--|[{}\[\];,=:])|([A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?))/gm,
+        tokens = [],
+        line = 1,
+        lineStart = 0,
+        pos = 0,
+        match;
+
+    function advance(text) {
+      var newlines = text.match(/\n/g);
+      if (newlines) {
+        line += newlines.length;
+        lineStart = pos + text.lastIndexOf('\n') + 1;
+      }
+      pos += text.length;
+    }
+
+    while (pos < dot.length) {
+      tokenRegex.lastIndex = pos;
+      match = tokenRegex.exec(dot);
+      if (!match || match.index !== pos) {
+        var problem = (dot.charAt(pos) === '"') ? 'unterminated string.'
+                    : (dot.charAt(pos) === '<') ? 'HTML strings are not supported.'
+                    : "unexpected character '" + dot.charAt(pos) + "'.";
+        throw _textError('DOT', problem, line, pos - lineStart + 1);
+      }
+
+      var token = {line: line, column: pos - lineStart + 1};
+      if (match[2] !== undefined) {
+        token.type = 'id';
+        token.value = match[2].replace(/\\"/g, '"').replace(/\\\r?\n/g, '');
+      } else if (match[3]) {
+        token.type = 'punctuation';
+        token.value = match[3];
+      } else if (match[4]) {
+        token.type = 'id';
+        token.value = match[4];
+        token.keyword = match[4].toLowerCase();
+      }
+      if (token.type) tokens.push(token);
+
+      advance(match[0]);
+    }
+
+    tokens.push({type: 'end', value: '', line: line, column: pos - lineStart + 1});
+    return tokens;
+  }
+
+  /**
+   * Creates a Kripke model from a graph in GraphViz DOT format.
+   * Each node is a state, numbered in order of first appearance. A node's label may list the propositional variables
+   * true at the state, separated by commas, on the lines after the first (e.g., label="w0\np, q"),
+   * and an edge's label names the agent whose relation it belongs to (unlabelled edges belong to the unlabelled relation).
+   * Undirected graphs (graph rather than digraph) give transitions in both directions.
+   * Subgraphs and ports aren't supported; other attributes are ignored.
+   * Throws an error locating the first problem found (see _textError).
+   */
+  Model.fromDOT = function (dot) {
+    var tokens = _tokenizeDOT(dot),
+        index = 0,
+        states = _namedStates(),
+        nodeDefaults = {},
+        edgeDefaults = {},
+        edgeOp;
+
+    function peek() {
+      return tokens[index];
+    }
+
+    function next() {
+      return tokens[index++];
+    }
+
+    function fail(problem, token) {
+      token = token || peek();
+      throw _textError('DOT', problem, token.line, token.column);
+    }
+
+    function describe(token) {
+      return (token.type === 'end') ? 'the end of input' : "'" + token.value + "'";
+    }
+
+    function expect(value) {
+      if (peek().value !== value || peek().type === 'end') fail("expected '" + value + "', but found " + describe(peek()) + '.');
+      return next();
+    }
+
+    function isKeyword(token, keyword) {
+      return token.keyword === keyword;
+    }
+
+    function id(description) {
+      if (peek().type !== 'id') fail('expected ' + description + ', but found ' + describe(peek()) + '.');
+      return next();
+    }
+
+    // one or more bracketed attribute lists, as an object mapping each attribute to its ID token
+    function attributes() {
+      var result = {};
+      while (peek().value === '[' && peek().type === 'punctuation') {
+        next();
+        while (!(peek().value === ']' && peek().type === 'punctuation')) {
+          var key = id('an attribute name');
+          result[key.value] = (peek().value === '=') ? (next(), id('an attribute value')) : {value: 'true'};
+          if (peek().value === ';' || peek().value === ',') next();
+        }
+        next();
+      }
+      return result;
+    }
+
+    function merge(defaults, attrs) {
+      var result = {};
+      [defaults, attrs].forEach(function (source) {
+        for (var key in source) result[key] = source[key];
+      });
+      return result;
+    }
+
+    // a node ID, which mustn't be followed by a port
+    function nodeID(description) {
+      var token = id(description);
+      if (peek().type === 'punctuation' && peek().value === ':') fail('ports are not supported.');
+      return token;
+    }
+
+    // the state of a node (adding it if needed, with the default attributes), after applying the given attributes;
+    // the propositional variables true there are given by its label (if any)
+    function node(token, attrs) {
+      var count = states.count(),
+          source = states.state(token.value),
+          label = ((source === count) ? merge(nodeDefaults, attrs) : (attrs || {})).label;
+
+      if (label) {
+        var assignment = states.get(source).assignment = [];
+        label.value.split(/\\[nlr]/).slice(1).join(',').split(/[\s,]+/).forEach(function (propvar) {
+          if (!propvar) return;
+          if (!_isModelVariable(propvar)) fail('expected propositional variables in the label, but found ' + propvar + '.', label);
+          if (assignment.indexOf(propvar) === -1) assignment.push(propvar);
+        });
+      }
+
+      return source;
+    }
+
+    function statement() {
+      var token = peek();
+
+      if (token.type === 'punctuation' && token.value === '{' || isKeyword(token, 'subgraph'))
+        fail('subgraphs are not supported.');
+
+      token = id('a statement');
+      if (isKeyword(token, 'graph') || isKeyword(token, 'node') || isKeyword(token, 'edge')) {
+        var attrs = attributes();
+        if (isKeyword(token, 'node')) nodeDefaults = merge(nodeDefaults, attrs);
+        if (isKeyword(token, 'edge')) edgeDefaults = merge(edgeDefaults, attrs);
+        return;
+      }
+
+      if (peek().value === '=' && peek().type === 'punctuation') {
+        next();
+        id('an attribute value');
+        return;
+      }
+
+      // a node statement, or an edge statement given by a chain of nodes
+      if (peek().type === 'punctuation' && peek().value === ':') fail('ports are not supported.');
+      var chain = [token];
+      while (peek().type === 'punctuation' && (peek().value === '->' || peek().value === '--')) {
+        if (peek().value !== edgeOp) fail("expected '" + edgeOp + "' in a " + (edgeOp === '->' ? 'digraph' : 'graph') + '.');
+        next();
+        chain.push(nodeID('a node'));
+      }
+
+      if (chain.length === 1) {
+        node(token, attributes());
+        return;
+      }
+
+      var sources = chain.map(function (nodeToken) { return node(nodeToken); }),
+          edgeAttrs = merge(edgeDefaults, attributes()),
+          agent = edgeAttrs.label;
+      if (agent && agent.value && !/^\w+$/.test(agent.value))
+        fail('expected an agent as the label of an edge, but found ' + agent.value + '.', agent);
+
+      for (var i = 1; i < sources.length; i++) {
+        states.addTransition(sources[i - 1], sources[i], agent && agent.value);
+        if (edgeOp === '--') states.addTransition(sources[i], sources[i - 1], agent && agent.value);
+      }
+    }
+
+    if (isKeyword(peek(), 'strict')) next();
+    if (!isKeyword(peek(), 'digraph') && !isKeyword(peek(), 'graph')) fail("expected 'digraph' or 'graph'.");
+    edgeOp = isKeyword(next(), 'digraph') ? '->' : '--';
+    if (peek().type === 'id') next();
+    expect('{');
+
+    while (!(peek().type === 'punctuation' && peek().value === '}')) {
+      if (peek().type === 'end') fail("expected '}', but found the end of input.");
+      statement();
+      if (peek().type === 'punctuation' && peek().value === ';') next();
+    }
+    next();
+    if (peek().type !== 'end') fail('expected the end of input, but found ' + describe(peek()) + '.');
+
+    return Model.fromJSON(states.toJSON());
+  };
+
+  /**
+   * Returns a copy of a given model restricted to the states where an MPL wff (in JSON representation) is true.
+   * @private
+   */
+  function _announce(model, json) {
+    var truthVals = _extension(model, json),
+        states = model.getStates(),
+        relations = [undefined].concat(model.getAgents()),
+        restricted = new Model();
+
+    // add every state, so as to keep state indices, and then remove those which don't remain
+    states.forEach(function (assignment) { restricted.addState(assignment || {}); });
+    states.forEach(function (assignment, state) {
+      if (!assignment || !truthVals[state]) restricted.removeState(state);
+    });
+
+    // copy each relation (transitions to removed states are ignored)
+    _liveStates(restricted).forEach(function (source) {
+      relations.forEach(function (agent) {
+        model.getSuccessorsOf(source, agent).forEach(function (target) { restricted.addTransition(source, target, agent); });
+      });
+    });
+
+    return restricted;
+  }
+
+  /**
+   * Partitions the states of the given models into classes of bisimilar states by partition refinement.
+   * States start out partitioned by their assignments, and a class is split whenever its states differ
+   * in which classes they can access (via the unlabelled relation or any agent's relation).
+   * Returns an array for each model, giving the class number (or null, for removed states) of each state index;
+   * classes are numbered in order of their first state.
+   * If a history array is given, the classes after each round of refinement are added to it.
+   * @private
+   */
+  function _bisimulationClasses(models, history) {
+    var agents = [undefined];
+    models.forEach(function (model) {
+      model.getAgents().forEach(function (agent) {
+        if (agents.indexOf(agent) === -1) agents.push(agent);
+      });
+    });
+
+    // number states' classes by distinct signatures, in order of appearance
+    var classCount = 0;
+    function partition(signatureOf) {
+      var signatures = [];
+      var result = models.map(function (model, i) {
+        return model.getStates().map(function (assignment, state) {
+          if (!assignment) return null;
+
+          var signature = signatureOf(i, state),
+              index = signatures.indexOf(signature);
+          if (index !== -1) return index;
+
+          signatures.push(signature);
+          return signatures.length - 1;
+        });
+      });
+
+      classCount = signatures.length;
+      if (history) history.push(result);
+      return result;
+    }
+
+    var classes = partition(function (i, state) {
+      return JSON.stringify(Object.keys(models[i].getStates()[state]).sort());
+    });
+
+    // refine until no class is split
+    var previousCount;
+    do {
+      previousCount = classCount;
+      classes = partition(function (i, state) {
+        var accessible = agents.map(function (agent) {
+          var successorClasses = models[i].getSuccessorsOf(state, agent).map(function (succState) { return classes[i][succState]; });
+          return successorClasses
+            .filter(function (succClass, index) { return successorClasses.indexOf(succClass) === index; })
+            .sort(function (a, b) { return a - b; });
+        });
+
+        return JSON.stringify([classes[i][state], accessible]);
+      });
+    } while (classCount !== previousCount);
+
+    return classes;
+  }
+
+  /**
+   * Determine whether a state of one model is bisimilar to a state of another model.
+   */
+  function bisimilar(modelA, stateA, modelB, stateB) {
+    if (!(modelA instanceof MPL.Model) || !(modelB instanceof MPL.Model)) throw new Error('Invalid model!');
+    if (!modelA.getStates()[stateA]) throw new Error('State ' + stateA + ' not found!');
+    if (!modelB.getStates()[stateB]) throw new Error('State ' + stateB + ' not found!');
+
+    var classes = _bisimulationClasses([modelA, modelB]);
+    return classes[0][stateA] === classes[1][stateB];
+  }
+
+  /**
+   * Combines the (non-removed) states of the given models into a single state space.
+   * Returns an object with four properties:
+   * - states: an array of objects, each with a state's assignment, its successors (as an array for each agent,
+   *           holding positions in the space), and its class number in each round of partition refinement
+   * - agents: the agents of the relations, with undefined for the unlabelled relation
+   * - vars: the propositional variables true at some state
+   * - positions: an array for each model, giving the position in the space of each state index
+   * @private
+   */
+  function _combinedSpace(models) {
+    var history = [],
+        space = {states: [], agents: [undefined], vars: [], positions: []};
+
+    _bisimulationClasses(models, history);
+
+    models.forEach(function (model, i) {
+      space.positions.push([]);
+      model.getAgents().forEach(function (agent) {
+        if (space.agents.indexOf(agent) === -1) space.agents.push(agent);
+      });
+
+      model.getStates().forEach(function (assignment, state) {
+        if (!assignment) return;
+
+        space.positions[i][state] = space.states.length;
+        space.states.push({assignment: assignment, rounds: history.map(function (classes) { return classes[i][state]; })});
+        Object.keys(assignment).forEach(function (propvar) {
+          if (space.vars.indexOf(propvar) === -1) space.vars.push(propvar);
+        });
+      });
+    });
+
+    models.forEach(function (model, i) {
+      model.getStates().forEach(function (assignment, state) {
+        if (!assignment) return;
+
+        space.states[space.positions[i][state]].successors = space.agents.map(function (agent) {
+          return model.getSuccessorsOf(state, agent).map(function (succState) { return space.positions[i][succState]; });
+        });
+      });
+    });
+
+    return space;
+  }
+
+  // max # of candidate formulas checked in the search for a shortest distinguishing formula
+  var maxDistinguishCandidates = 100000;
+
+  /**
+   * Searches for a shortest MPL wff (in JSON representation), by number of operators, variables, and constants, which is true
+   * at position a and false at position b of a combined state space, or returns null if the search is too large.
+   * Formulas are built up by size; only the first formula found for each extension (the set of positions where it
+   * is true) is kept, as any other could be replaced by it.
+   * @private
+   */
+  function _shortestDistinguishing(space, a, b) {
+    var states = space.states,
+        levels = [[]],
+        seen = {},
+        candidates = 0;
+
+    // keep a candidate formula if its extension is new; returns the formula if the search is over
+    function consider(json, extension, level) {
+      candidates++;
+      if (extension[a] && !extension[b]) return json;
+      if (candidates > maxDistinguishCandidates) return null;
+
+      var key = extension.map(Number).join('');
+      if (!seen[key]) {
+        seen[key] = true;
+        level.push({json: json, extension: extension});
+      }
+    }
+
+    // consider each formula of a given size, whose subformulas are all smaller
+    function search(size, level) {
+      var result, i, j, k;
+
+      if (size === 1) {
+        // the constants still yield formulas such as []F and <>T when no variable is true anywhere
+        result = consider({top: true}, states.map(function () { return true; }), level);
+        if (result !== undefined) return result;
+        result = consider({bot: true}, states.map(function () { return false; }), level);
+        if (result !== undefined) return result;
+
+        for (i = 0; i < space.vars.length; i++) {
+          var propvar = space.vars[i];
+          result = consider({prop: propvar}, states.map(function (state) { return !!state.assignment[propvar]; }), level);
+          if (result !== undefined) return result;
+        }
+        return;
+      }
+
+      var subs = levels[size - 1];
+      for (i = 0; i < subs.length; i++) {
+        var sub = subs[i],
+            isTrue = function (position) { return sub.extension[position]; };
+
+        result = consider({neg: sub.json}, sub.extension.map(function (value) { return !value; }), level);
+        if (result !== undefined) return result;
+
+        for (k = 0; k < space.agents.length; k++) {
+          var successors = states.map(function (state) { return state.successors[k]; });
+
+          result = consider(_modalJSON('nec', sub.json, space.agents[k]),
+                            successors.map(function (succs) { return succs.every(isTrue); }), level);
+          if (result !== undefined) return result;
+
+          result = consider(_modalJSON('poss', sub.json, space.agents[k]),
+                            successors.map(function (succs) { return succs.some(isTrue); }), level);
+          if (result !== undefined) return result;
+        }
+      }
+
+      for (var leftSize = 1; leftSize < size - 1; leftSize++) {
+        var lefts = levels[leftSize],
+            rights = levels[size - 1 - leftSize];
+
+        for (i = 0; i < lefts.length; i++)
+          for (j = 0; j < rights.length; j++) {
+            var left = lefts[i], right = rights[j];
+
+            // conjunction and disjunction are symmetric, so each pair of subformulas is only needed in one order
+            if (leftSize <= size - 1 - leftSize) {
+              result = consider({conj: [left.json, right.json]},
+                                left.extension.map(function (value, position) { return value && right.extension[position]; }), level);
+              if (result !== undefined) return result;
+
+              result = consider({disj: [left.json, right.json]},
+                                left.extension.map(function (value, position) { return value || right.extension[position]; }), level);
+              if (result !== undefined) return result;
+            }
+
+            result = consider({impl: [left.json, right.json]},
+                              left.extension.map(function (value, position) { return !value || right.extension[position]; }), level);
+            if (result !== undefined) return result;
+          }
+      }
+    }
+
+    for (var size = 1; ; size++) {
+      // if no formula of the sizes that the largest subformula could have is new, no larger formula will be either
+      if (size > 1 && levels.slice(Math.ceil((size - 1) / 2)).every(function (level) { return !level.length; }))
+        return null;
+
+      var level = [],
+          result = search(size, level);
+      if (result !== undefined) return result;
+      levels.push(level);
+    }
+  }
+
+  /**
+   * Constructs an MPL wff (in JSON representation) which is true at position a and false at position b
+   * of a combined state space, given that they are not bisimilar, by following partition refinement:
+   * if a and b were first split apart in some round, then some successor of one of them
+   * was in a different class from every successor of the other in the previous round.
+   * @private
+   */
+  function _refinementDistinguishing(space, a, b) {
+    var states = space.states;
+
+    function distinguish(x, y) {
+      var round = 0;
+      while (states[x].rounds[round] === states[y].rounds[round]) round++;
+
+      // split by assignment
+      if (round === 0) {
+        var propvar = space.vars.filter(function (v) { return !states[x].assignment[v] !== !states[y].assignment[v]; })[0];
+        return states[x].assignment[propvar] ? {prop: propvar} : {neg: {prop: propvar}};
+      }
+
+      // split by accessible classes
+      var classOf = function (position) { return states[position].rounds[round - 1]; };
+      for (var k = 0; k < space.agents.length; k++) {
+        var xSuccs = states[x].successors[k],
+            ySuccs = states[y].successors[k],
+            xClasses = xSuccs.map(classOf),
+            yClasses = ySuccs.map(classOf);
+
+        var xOnly = xSuccs.filter(function (succ) { return yClasses.indexOf(classOf(succ)) === -1; })[0];
+        if (xOnly !== undefined)
+          return _modalJSON('poss', _combine('conj', ySuccs.map(function (succ) { return distinguish(xOnly, succ); })) || {top: true}, space.agents[k]);
+
+        var yOnly = ySuccs.filter(function (succ) { return xClasses.indexOf(classOf(succ)) === -1; })[0];
+        if (yOnly !== undefined)
+          return _modalJSON('nec', _combine('disj', xSuccs.map(function (succ) { return distinguish(succ, yOnly); })) || {bot: true}, space.agents[k]);
+      }
+    }
+
+    return distinguish(a, b);
+  }
+
+  /**
+   * Returns a shortest MPL wff which is true at a state of one model and false at a state of another model
+   * (which may be the same model), or null if the states are bisimilar (so that no such wff exists).
+   * (If there are too many candidate wffs to search, a longer wff is returned instead.)
+   */
+  function distinguish(modelA, stateA, modelB, stateB) {
+    if (bisimilar(modelA, stateA, modelB, stateB)) return null;
+
+    var space = _combinedSpace([modelA, modelB]),
+        a = space.positions[0][stateA],
+        b = space.positions[1][stateB];
+
+    return new Wff(_shortestDistinguishing(space, a, b) || _refinementDistinguishing(space, a, b));
+  }
+
+  // reachability operators, each the least or greatest fixpoint of a modal equation over the unlabelled relation:
+  // - EF A = least X such that X = (A | <>X)            (A holds at some reachable state)
+  // - AG A = greatest X such that X = (A & []X)         (A holds at every reachable state)
+  // - AF A = least X such that X = (A | (<>T & []X))    (A holds somewhere along every maximal path)
+  // - EG A = greatest X such that X = (A & (<>X | []F)) (A holds everywhere along some maximal path)
+  var fixpointKeys = ['ef', 'ag', 'af', 'eg'];
+
+  /**
+   * Returns the reachability operator of an MPL wff (in JSON representation), or undefined if it has none.
+   * @private
+   */
+  function _fixpointKey(json) {
+    return fixpointKeys.filter(function (key) { return json[key]; })[0];
+  }
+
+  /**
+   * Computes the truth value at every state (as an array indexed by state) of a reachability operator,
+   * given that of its subformula, by iterating its equation from no states (for EF and AF)
+   * or all states (for AG and EG) until nothing changes.
+   * @private
+   */
+  function _fixpoint(model, key, subTruth) {
+    var states = _liveStates(model),
+        least = (key === 'ef' || key === 'af'),
+        current = [];
+
+    states.forEach(function (state) { current[state] = !least; });
+
+    var isCurrent = function (state) { return current[state]; },
+        changed = true;
+    while (changed) {
+      changed = false;
+      states.forEach(function (state) {
+        var successors = model.getSuccessorsOf(state),
+            value;
+
+        if (key === 'ef')
+          value = subTruth[state] || successors.some(isCurrent);
+        else if (key === 'ag')
+          value = subTruth[state] && successors.every(isCurrent);
+        else if (key === 'af')
+          value = subTruth[state] || (successors.length > 0 && successors.every(isCurrent));
+        else
+          value = subTruth[state] && (successors.length === 0 || successors.some(isCurrent));
+
+        if (value !== current[state]) {
+          current[state] = value;
+          changed = true;
+        }
+      });
+    }
+
+    return current;
+  }
+
+  /**
+   * Returns the states reachable from a given state (including itself) along the unlabelled relation,
+   * in order of distance.
+   * @private
+   */
+  function _reachable(model, state) {
+    var reachable = [state];
+    for (var i = 0; i < reachable.length; i++)
+      model.getSuccessorsOf(reachable[i]).forEach(function (succState) {
+        if (reachable.indexOf(succState) === -1) reachable.push(succState);
+      });
+
+    return reachable;
+  }
+
+  /**
+   * Evaluate the truth of an MPL wff (in JSON representation) at a given state within a given model.
+   * @private
+   */
+  function _truth(model, state, json) {
+    var isTrue = function (subJSON) { return _truth(model, state, subJSON); };
+
+    if (json.prop)
+      return model.valuation(json.prop, state);
+    else if (json.top)
+      return true;
+    else if (json.bot)
+      return false;
+    else if (json.neg)
+      return !_truth(model, state, json.neg);
+    else if (json.conj)
+      return json.conj.every(isTrue);
+    else if (json.disj)
+      return json.disj.some(isTrue);
+    else if (json.xor)
+      return (_truth(model, state, json.xor[0]) !== _truth(model, state, json.xor[1]));
+    else if (json.nand)
+      return !(_truth(model, state, json.nand[0]) && _truth(model, state, json.nand[1]));
+    else if (json.impl)
+      return (!_truth(model, state, json.impl[0]) || _truth(model, state, json.impl[1]));
+    else if (json.equi)
+      return (_truth(model, state, json.equi[0]) === _truth(model, state, json.equi[1]));
+    else if (json.nec)
+      return model.getSuccessorsOf(state, json.agent).every(function (succState) { return _truth(model, succState, json.nec); });
+    else if (json.poss)
+      return model.getSuccessorsOf(state, json.agent).some(function (succState) { return _truth(model, succState, json.poss); });
+    else if (json.futnec)
+      return model.getSuccessorsOf(state).every(function (succState) { return _truth(model, succState, json.futnec); });
+    else if (json.futposs)
+      return model.getSuccessorsOf(state).some(function (succState) { return _truth(model, succState, json.futposs); });
+    else if (json.pastnec)
+      return model.getPredecessorsOf(state).every(function (predState) { return _truth(model, predState, json.pastnec); });
+    else if (json.pastposs)
+      return model.getPredecessorsOf(state).some(function (predState) { return _truth(model, predState, json.pastposs); });
+    else if (json.announce)
+      return (!_truth(model, state, json.announce[0]) || _truth(_announce(model, json.announce[0]), state, json.announce[1]));
+    else if (_fixpointKey(json))
+      return _extension(model, json)[state];
+    else
+      throw new Error('Invalid formula!');
+  }
+
+  /**
+   * Evaluate the truth of an MPL wff at a given state within a given model.
+   */
+  function truth(model, state, wff) {
+    if (!(model instanceof MPL.Model)) throw new Error('Invalid model!');
+    if (!model.getStates()[state]) throw new Error('State ' + state + ' not found!');
+    if (!(wff instanceof MPL.Wff)) throw new Error('Invalid wff!');
+
+    return _truth(model, state, wff.json());
+  }
+
+  /**
+   * Computes the truth value of an MPL wff (in JSON representation) at every state within a given model
+   * (as an array indexed by state, with undefined for removed states), working bottom-up:
+   * each distinct subformula is evaluated once over the whole model, with results cached in memo (by ASCII).
+   * @private
+   */
+  function _extension(model, json, memo) {
+    memo = memo || Object.create(null);
+
+    var ascii = _jsonToASCII(json);
+    if (memo[ascii]) return memo[ascii];
+
+    var states = _liveStates(model),
+        result = [],
+        sub = function (subJSON) { return _extension(model, subJSON, memo); },
+        pointwise = function (f) { states.forEach(function (state) { result[state] = f(state); }); },
+        // a box quantifies over the given relation (using predecessors instead of successors if backward)
+        box = function (subJSON, agent, backward) {
+          var subTruth = sub(subJSON);
+          pointwise(function () { return true; });
+          states.forEach(function (source) {
+            model.getSuccessorsOf(source, agent).forEach(function (target) {
+              if (backward ? !subTruth[source] : !subTruth[target]) result[backward ? target : source] = false;
+            });
+          });
+        },
+        // a diamond is the dual of a box
+        diamond = function (subJSON, agent, backward) {
+          box({neg: subJSON}, agent, backward);
+          pointwise(function (state) { return !result[state]; });
+        };
+
+    if (json.prop)
+      pointwise(function (state) { return model.valuation(json.prop, state); });
+    else if (json.top || json.bot)
+      pointwise(function () { return !!json.top; });
+    else if (json.neg) {
+      var negTruth = sub(json.neg);
+      pointwise(function (state) { return !negTruth[state]; });
+    } else if (json.conj || json.disj) {
+      var operands = (json.conj || json.disj).map(sub);
+      pointwise(function (state) {
+        var isTrue = function (subTruth) { return subTruth[state]; };
+        return json.conj ? operands.every(isTrue) : operands.some(isTrue);
+      });
+    } else if (json.xor || json.nand || json.impl || json.equi) {
+      var key = json.xor ? 'xor' : json.nand ? 'nand' : json.impl ? 'impl' : 'equi',
+          lhs = sub(json[key][0]),
+          rhs = sub(json[key][1]);
+      pointwise(function (state) {
+        if (key === 'xor') return (lhs[state] !== rhs[state]);
+        if (key === 'nand') return !(lhs[state] && rhs[state]);
+        if (key === 'impl') return (!lhs[state] || rhs[state]);
+        return (lhs[state] === rhs[state]);
+      });
+    }
+    else if (json.nec)
+      box(json.nec, json.agent);
+    else if (json.poss)
+      diamond(json.poss, json.agent);
+    else if (json.futnec)
+      box(json.futnec);
+    else if (json.futposs)
+      diamond(json.futposs);
+    else if (json.pastnec)
+      box(json.pastnec, undefined, true);
+    else if (json.pastposs)
+      diamond(json.pastposs, undefined, true);
+    else if (json.announce) {
+      // the restricted model differs, so its subformulas are cached separately
+      var announced = sub(json.announce[0]),
+          consequent = _extension(_announce(model, json.announce[0]), json.announce[1]);
+      pointwise(function (state) { return (!announced[state] || consequent[state]); });
+    } else if (_fixpointKey(json))
+      result = _fixpoint(model, _fixpointKey(json), sub(json[_fixpointKey(json)]));
+    else
+      throw new Error('Invalid formula!');
+
+    memo[ascii] = result;
+    return result;
+  }
+
+  /**
+   * Evaluate the truth of an MPL wff (in JSON representation) at a given state within a given model,
+   * recording each step of the evaluation in the same order as _truth.
+   * @private
+   */
+  function _explain(model, state, json) {
+    var steps = [],
+        witness = null,
+        value;
+
+    function step(subJSON, subState, subModel) {
+      var subStep = _explain(subModel || model, (subState === undefined) ? state : subState, subJSON);
+      steps.push(subStep);
+      return subStep.value;
+    }
+
+    // evaluate subformula at related states until one refutes it
+    function every(relatedStates, subJSON) {
+      return relatedStates.every(function (relState) {
+        if (step(subJSON, relState)) return true;
+        witness = relState;
+        return false;
+      });
+    }
+
+    // evaluate subformula at related states until one verifies it
+    function some(relatedStates, subJSON) {
+      return relatedStates.some(function (relState) {
+        if (!step(subJSON, relState)) return false;
+        witness = relState;
+        return true;
+      });
+    }
+
+    var isTrue = function (subJSON) { return step(subJSON); };
+
+    if (json.prop)
+      value = model.valuation(json.prop, state);
+    else if (json.top || json.bot)
+      value = !!json.top;
+    else if (json.neg)
+      value = !step(json.neg);
+    else if (json.conj)
+      value = json.conj.every(isTrue);
+    else if (json.disj)
+      value = json.disj.some(isTrue);
+    else if (json.xor)
+      value = (step(json.xor[0]) !== step(json.xor[1]));
+    else if (json.nand)
+      value = !(step(json.nand[0]) && step(json.nand[1]));
+    else if (json.impl)
+      value = (!step(json.impl[0]) || step(json.impl[1]));
+    else if (json.equi)
+      value = (step(json.equi[0]) === step(json.equi[1]));
+    else if (json.nec)
+      value = every(model.getSuccessorsOf(state, json.agent), json.nec);
+    else if (json.poss)
+      value = some(model.getSuccessorsOf(state, json.agent), json.poss);
+    else if (json.futnec)
+      value = every(model.getSuccessorsOf(state), json.futnec);
+    else if (json.futposs)
+      value = some(model.getSuccessorsOf(state), json.futposs);
+    else if (json.pastnec)
+      value = every(model.getPredecessorsOf(state), json.pastnec);
+    else if (json.pastposs)
+      value = some(model.getPredecessorsOf(state), json.pastposs);
+    else if (json.announce)
+      value = (!step(json.announce[0]) || step(json.announce[1], state, _announce(model, json.announce[0])));
+    else if (json.ef)
+      value = some(_reachable(model, state), json.ef);
+    else if (json.ag)
+      value = every(_reachable(model, state), json.ag);
+    else if (json.af || json.eg) {
+      // AF and EG depend on whole paths, so the subformula is shown at every reachable state
+      value = _extension(model, json)[state];
+      _reachable(model, state).forEach(function (reachState) { step(json.af || json.eg, reachState); });
+    } else
+      throw new Error('Invalid formula!');
+
+    return {wff: new Wff(json), state: state, value: value, witness: witness, steps: steps};
+  }
+
+  /**
+   * Explain the truth of an MPL wff at a given state within a given model, as a tree of evaluation steps.
+   * Each step is an object with five properties:
+   * - wff: the MPL Wff (sub)formula evaluated
+   * - state: the state index at which it was evaluated
+   * - value: the resulting truth value
+   * - witness: for modal operators, the successor (or for H and P, predecessor; or for EF and AG, reachable) state
+   *            which refuted or verified it (if any); otherwise null
+   * - steps: an array of the steps on which this step depends
+   */
+  function explain(model, state, wff) {
+    if (!(model instanceof MPL.Model)) throw new Error('Invalid model!');
+    if (!model.getStates()[state]) throw new Error('State ' + state + ' not found!');
+    if (!(wff instanceof MPL.Wff)) throw new Error('Invalid wff!');
+
+    return _explain(model, state, wff.json());
+  }
+
+  /**
+   * Returns the propositional variables of an MPL wff (in JSON representation), without duplicates.
+   * @private
+   */
+  function _variables(json, vars) {
+    vars = vars || [];
+
+    if (json.prop) {
+      if (vars.indexOf(json.prop) === -1) vars.push(json.prop);
+    } else {
+      _children(json).forEach(function (subJSON) { _variables(subJSON, vars); });
+    }
+
+    return vars;
+  }
+
+  /**
+   * Returns the indices of all (non-removed) states of a given model.
+   * @private
+   */
+  function _liveStates(model) {
+    var liveStates = [];
+    model.getStates().forEach(function (state, index) {
+      if (state) liveStates.push(index);
+    });
+
+    return liveStates;
+  }
+
+  /**
+   * Checks arguments common to the model-wide evaluation methods.
+   * @private
+   */
+  function _checkModelAndWff(model, wff) {
+    if (!(model instanceof MPL.Model)) throw new Error('Invalid model!');
+    if (!(wff instanceof MPL.Wff)) throw new Error('Invalid wff!');
+  }
+
+  /**
+   * Returns an array of the indices of the states within a given model at which an MPL wff is true.
+   * (Each subformula is evaluated only once over the whole model, which is much faster than MPL.truth for every state.)
+   */
+  function extension(model, wff) {
+    _checkModelAndWff(model, wff);
+
+    var truthVals = _extension(model, wff.json());
+    return _liveStates(model).filter(function (state) { return truthVals[state]; });
+  }
+
+  /**
+   * Determine whether an MPL wff is true at every state within a given model.
+   */
+  function validInModel(model, wff) {
+    _checkModelAndWff(model, wff);
+
+    return extension(model, wff).length === _liveStates(model).length;
+  }
+
+  /**
+   * Determine whether an MPL wff is true at some state within a given model.
+   */
+  function satisfiableInModel(model, wff) {
+    _checkModelAndWff(model, wff);
+
+    return extension(model, wff).length > 0;
+  }
+
+  /**
+   * Search every valuation of an MPL wff's variables on the frame of a given model
+   * for one under which the wff is false at some state.
+   * Returns null if there is none; otherwise, an object with two properties:
+   * - valuation: an array containing the assignment (or null) of each state, as with model.getStates()
+   * - state: the index of a state at which the wff is false under that valuation
+   * (NB: this takes time exponential in the number of states times the number of variables.)
+   */
+  function findCounterValuation(model, wff) {
+    _checkModelAndWff(model, wff);
+
+    // copy frame of model, preserving state indices
+    var frame = new Model(),
+        states = model.getStates(),
+        liveStates = _liveStates(model),
+        vars = _variables(wff.json());
+
+    states.forEach(function () { frame.addState({}); });
+    states.forEach(function (state, index) { if (!state) frame.removeState(index); });
+    [undefined].concat(model.getAgents()).forEach(function (agent) {
+      liveStates.forEach(function (source) {
+        model.getSuccessorsOf(source, agent).forEach(function (target) { frame.addTransition(source, target, agent); });
+      });
+    });
+
+    // try each truth value for each (state, variable) pair in turn
+    function search(pairIndex) {
+      if (pairIndex === liveStates.length * vars.length) {
+        var truthVals = _extension(frame, wff.json()),
+            falseStates = liveStates.filter(function (state) { return !truthVals[state]; });
+        return falseStates.length ? {valuation: frame.getStates(), state: falseStates[0]} : null;
+      }
+
+      var state = liveStates[Math.floor(pairIndex / vars.length)],
+          propvar = vars[pairIndex % vars.length];
+
+      return [false, true].reduce(function (result, value) {
+        if (result) return result;
+
+        var update = {};
+        update[propvar] = value;
+        frame.editState(state, update);
+        return search(pairIndex + 1);
+      }, null);
+    }
+
+    return search(0);
+  }
+
+  /**
+   * Determine whether an MPL wff is valid on the frame of a given model,
+   * i.e., true at every state under every valuation of its variables.
+   */
+  function validOnFrame(model, wff) {
+    return !findCounterValuation(model, wff);
+  }
+
+  /**
+   * Converts an MPL wff (in JSON representation) to negation normal form,
+   * in which negation is only applied to propositional variables
+   * and the only other connectives are conjunction and disjunction.
+   * If negated is true, converts the negation of the wff instead.
+   * @private
+   */
+  function _nnf(json, negated) {
+    var nnf = function (subJSON) { return _nnf(subJSON, negated); },
+        // nested conjunctions and disjunctions are flattened, as in parser output
+        conj = function (jsons) { return {conj: _flatten('conj', jsons)}; },
+        disj = function (jsons) { return {disj: _flatten('disj', jsons)}; };
+
+    if (json.prop)
+      return negated ? {neg: json} : json;
+    else if (json.top)
+      return negated ? {bot: true} : json;
+    else if (json.bot)
+      return negated ? {top: true} : json;
+    else if (json.neg)
+      return _nnf(json.neg, !negated);
+    else if (json.conj)
+      return negated ? disj(json.conj.map(nnf)) : conj(json.conj.map(nnf));
+    else if (json.disj)
+      return negated ? conj(json.disj.map(nnf)) : disj(json.disj.map(nnf));
+    else if (json.xor)
+      return negated ? disj([conj([_nnf(json.xor[0]), _nnf(json.xor[1])]),
+                             conj([_nnf(json.xor[0], true), _nnf(json.xor[1], true)])])
+                     : disj([conj([_nnf(json.xor[0]), _nnf(json.xor[1], true)]),
+                             conj([_nnf(json.xor[0], true), _nnf(json.xor[1])])]);
+    else if (json.nand)
+      return negated ? conj([_nnf(json.nand[0]), _nnf(json.nand[1])])
+                     : disj([_nnf(json.nand[0], true), _nnf(json.nand[1], true)]);
+    else if (json.impl)
+      return negated ? conj([_nnf(json.impl[0]), _nnf(json.impl[1], true)])
+                     : disj([_nnf(json.impl[0], true), _nnf(json.impl[1])]);
+    else if (json.equi)
+      return negated ? disj([conj([_nnf(json.equi[0]), _nnf(json.equi[1], true)]),
+                             conj([_nnf(json.equi[0], true), _nnf(json.equi[1])])])
+                     : disj([conj([_nnf(json.equi[0]), _nnf(json.equi[1])]),
+                             conj([_nnf(json.equi[0], true), _nnf(json.equi[1], true)])]);
+    else if (json.nec)
+      return negated ? _modalJSON('poss', _nnf(json.nec, true), json.agent) : _modalJSON('nec', _nnf(json.nec), json.agent);
+    else if (json.poss)
+      return negated ? _modalJSON('nec', _nnf(json.poss, true), json.agent) : _modalJSON('poss', _nnf(json.poss), json.agent);
+    else if (json.futnec)
+      return negated ? {futposs: _nnf(json.futnec, true)} : {futnec: _nnf(json.futnec)};
+    else if (json.futposs)
+      return negated ? {futnec: _nnf(json.futposs, true)} : {futposs: _nnf(json.futposs)};
+    else if (json.pastnec)
+      return negated ? {pastposs: _nnf(json.pastnec, true)} : {pastnec: _nnf(json.pastnec)};
+    else if (json.pastposs)
+      return negated ? {pastnec: _nnf(json.pastposs, true)} : {pastposs: _nnf(json.pastposs)};
+    else if (json.announce) // ~[!A]B is equivalent to (A & [!A]~B)
+      return negated ? conj([_nnf(json.announce[0]), {announce: [_nnf(json.announce[0]), _nnf(json.announce[1], true)]}])
+                     : {announce: [_nnf(json.announce[0]), _nnf(json.announce[1])]};
+    else if (json.ef)
+      return negated ? {ag: _nnf(json.ef, true)} : {ef: _nnf(json.ef)};
+    else if (json.ag)
+      return negated ? {ef: _nnf(json.ag, true)} : {ag: _nnf(json.ag)};
+    else if (json.af)
+      return negated ? {eg: _nnf(json.af, true)} : {af: _nnf(json.af)};
+    else if (json.eg)
+      return negated ? {af: _nnf(json.eg, true)} : {eg: _nnf(json.eg)};
+    else
+      throw new Error('Invalid formula!');
+  }
+
+  // max # of clauses (for CNF) or terms (for DNF) produced in converting a wff to normal form
+  var maxNormalFormGroups = 10000;
+
+  /**
+   * Converts an MPL wff (in JSON representation, in negation normal form) to conjunctive or disjunctive normal form,
+   * treating variables, negated variables, truth constants, and formulas with any other main operator as atoms.
+   * For CNF, outer is 'conj' and inner is 'disj'; for DNF, the reverse.
+   * Groups of atoms containing both a variable and its negation are dropped (unless every group does).
+   * Throws an error if distributing would produce more than maxNormalFormGroups groups.
+   * @private
+   */
+  function _normalForm(json, outer, inner) {
+    function checkSize(count) {
+      if (count > maxNormalFormGroups)
+        throw new Error('Normal form too large! It would have more than ' + maxNormalFormGroups + ' ' +
+                        (outer === 'conj' ? 'clauses.' : 'terms.'));
+    }
+
+    // get an array of groups (arrays) of atoms, distributing inner over outer
+    function groups(json) {
+      if (json[outer]) {
+        var result = [].concat.apply([], json[outer].map(groups));
+        checkSize(result.length);
+        return result;
+      }
+      if (json[inner])
+        return json[inner].map(groups).reduce(function (left, right) {
+          checkSize(left.length * right.length);
+
+          var result = [];
+          left.forEach(function (leftGroup) {
+            right.forEach(function (rightGroup) { result.push(leftGroup.concat(rightGroup)); });
+          });
+          return result;
+        });
+
+      return [[json]];
+    }
+
+    var all = groups(json).map(function (group) {
+      var asciis = group.map(_jsonToASCII);
+      return {
+        json: _combine(inner, group),
+        complementary: asciis.some(function (ascii) { return asciis.indexOf('~' + ascii) !== -1; })
+      };
+    });
+
+    var kept = all.filter(function (group) { return !group.complementary; });
+    return _combine(outer, (kept.length ? kept : all.slice(0, 1)).map(function (group) { return group.json; }));
+  }
+
+  // each modal operator paired with its dual (e.g., ~[]~A is equivalent to <>A)
+  var dualKeys = {
+    nec: 'poss', poss: 'nec',
+    futnec: 'futposs', futposs: 'futnec',
+    pastnec: 'pastposs', pastposs: 'pastnec',
+    ef: 'ag', ag: 'ef',
+    af: 'eg', eg: 'af'
+  };
+
+  /**
+   * Simplifies an MPL wff (in JSON representation) from the bottom up by removing double negations,
+   * negating truth constants, replacing a negated modal operator applied to a negation with its dual
+   * (e.g., ~[]~A becomes <>A), and removing repeated conjuncts and disjuncts.
+   * @private
+   */
+  function _simplify(json) {
+    if (_isAtomic(json)) return json;
+
+    var result = {};
+    for (var key in json)
+      result[key] = (key === 'agent') ? json.agent :
+                    Array.isArray(json[key]) ? json[key].map(_simplify) : _simplify(json[key]);
+
+    if (result.neg) {
+      var negated = result.neg;
+      if (negated.neg) return negated.neg;
+      if (negated.top) return {bot: true};
+      if (negated.bot) return {top: true};
+
+      for (var modalKey in dualKeys)
+        if (negated[modalKey] && negated[modalKey].neg)
+          return _modalJSON(dualKeys[modalKey], negated[modalKey].neg, negated.agent);
+    }
+
+    if (result.conj) return _combine('conj', result.conj);
+    if (result.disj) return _combine('disj', result.disj);
+
+    return result;
+  }
+
+  // modal systems and wff keys supported by the tableau prover
+  var tableauSystems = ['K', 'T', 'S4', 'S5'],
+      tableauKeys = ['prop', 'top', 'bot', 'neg', 'nec', 'poss', 'conj', 'disj', 'xor', 'nand', 'impl', 'equi'];
+
+  /**
+   * Determines whether an MPL wff (in JSON representation) only uses the operators supported by the tableau prover.
+   * @private
+   */
+  function _tableauSupports(json) {
+    if (_isAtomic(json)) return true;
+
+    return Object.keys(json).every(function (key) { return tableauKeys.indexOf(key) !== -1; }) &&
+           _children(json).every(_tableauSupports);
+  }
+
+  /**
+   * Returns the index of the nearest ancestor of a tableau world whose formulas include all of its own, or -1.
+   * In S4, such a world is blocked: it needs no successors of its own, as it can access the ancestor instead.
+   * @private
+   */
+  function _subsumingAncestor(tableau, index) {
+    var formulas = Object.keys(tableau[index].formulas);
+
+    for (var ancestor = tableau[index].parent; ancestor !== -1; ancestor = tableau[ancestor].parent) {
+      var ancestorFormulas = tableau[ancestor].formulas;
+      if (formulas.every(function (key) { return key in ancestorFormulas; })) return ancestor;
+    }
+    return -1;
+  }
+
+  /**
+   * Runs a tableau for the satisfiability of an MPL wff (in JSON representation, NNF) in a given system.
+   * A tableau is an array of worlds, each with a set of formulas (keyed by ASCII, with no prototype), a list of successors,
+   * and the index of its parent world (or -1 for the root).
+   * Returns the first open, saturated tableau found, or null if every branch closes.
+   * @private
+   */
+  function _runTableau(json, system) {
+    var reflexive = (system !== 'K');
+
+    function addFormula(world, formula) {
+      var key = _jsonToASCII(formula);
+      if (key in world.formulas) return false;
+
+      world.formulas[key] = formula;
+      return true;
+    }
+
+    function hasFormula(world, formula) {
+      return _jsonToASCII(formula) in world.formulas;
+    }
+
+    function copyTableau(tableau) {
+      return tableau.map(function (world) {
+        var formulas = Object.create(null);
+        for (var key in world.formulas) formulas[key] = world.formulas[key];
+
+        return {formulas: formulas, successors: world.successors.slice(), parent: world.parent};
+      });
+    }
+
+    function expand(tableau) {
+      // apply propositional and box rules until saturated, branching on disjunctions
+      var changed = true;
+      while (changed) {
+        changed = false;
+
+        for (var i = 0; i < tableau.length; i++) {
+          var world = tableau[i];
+
+          for (var key in world.formulas) {
+            var formula = world.formulas[key];
+
+            if (formula.bot || (formula.neg && hasFormula(world, formula.neg))) {
+              return null;
+            } else if (formula.conj) {
+              formula.conj.forEach(function (conjunct) { changed = addFormula(world, conjunct) || changed; });
+            } else if (formula.disj) {
+              if (formula.disj.some(function (disjunct) { return hasFormula(world, disjunct); })) continue;
+
+              for (var j = 0; j < formula.disj.length; j++) {
+                var branch = copyTableau(tableau);
+                addFormula(branch[i], formula.disj[j]);
+
+                var result = expand(branch);
+                if (result) return result;
+              }
+              return null;
+            } else if (formula.nec) {
+              var targets = (system === 'S5') ? tableau : world.successors.map(function (v) { return tableau[v]; });
+              if (reflexive) changed = addFormula(world, formula.nec) || changed;
+
+              targets.forEach(function (target) {
+                changed = addFormula(target, formula.nec) || changed;
+                if (system === 'S4' || system === 'S5') changed = addFormula(target, formula) || changed;
+              });
+            }
+          }
+        }
+      }
+
+      // create a new world for the first unsatisfied diamond, if any
+      for (var w = 0; w < tableau.length; w++) {
+        if (system === 'S4' && _subsumingAncestor(tableau, w) !== -1) continue;
+
+        for (var diamondKey in tableau[w].formulas) {
+          var diamond = tableau[w].formulas[diamondKey];
+          if (!diamond.poss) continue;
+
+          var witnesses = (system === 'S5') ? tableau : tableau[w].successors.map(function (v) { return tableau[v]; });
+          if (reflexive) witnesses = witnesses.concat([tableau[w]]);
+
+          var satisfied = witnesses.some(function (witness) { return hasFormula(witness, diamond.poss); });
+          if (satisfied) continue;
+
+          var newWorld = {formulas: Object.create(null), successors: [], parent: w};
+          addFormula(newWorld, diamond.poss);
+          tableau[w].successors.push(tableau.length);
+          tableau.push(newWorld);
+
+          return expand(tableau);
+        }
+      }
+
+      return tableau;
+    }
+
+    var root = {formulas: Object.create(null), successors: [], parent: -1};
+    addFormula(root, json);
+
+    return expand([root]);
+  }
+
+  /**
+   * Search for a model of a given modal system in which an MPL wff is false at state 0,
+   * using a tableau for the satisfiability of its negation.
+   * Supported systems are 'K', 'T', 'S4', and 'S5'; supported operators are T, F, ~, [], <>, &, |, ^, ~&, ->, and <->.
+   * Returns null if the wff is valid in the system; otherwise, the countermodel as an MPL Model.
+   */
+  function findCountermodel(wff, system) {
+    if (!(wff instanceof MPL.Wff)) throw new Error('Invalid wff!');
+    if (tableauSystems.indexOf(system) === -1) throw new Error('Unsupported system: ' + system);
+    if (!_tableauSupports(wff.json())) throw new Error('Only the operators T, F, ~, [], <>, &, |, ^, ~&, ->, and <-> are supported!');
+
+    var tableau = _runTableau(_nnf(wff.json(), true), system);
+    if (!tableau) return null;
+
+    var model = new Model();
+    tableau.forEach(function (world) {
+      var assignment = Object.create(null);
+      for (var key in world.formulas)
+        if (world.formulas[key].prop) assignment[key] = true;
+
+      model.addState(assignment);
+    });
+
+    tableau.forEach(function (world, index) {
+      world.successors.forEach(function (target) { model.addTransition(index, target); });
+
+      // point each blocked world back to the ancestor which subsumes it
+      if (system === 'S4') {
+        var ancestor = _subsumingAncestor(tableau, index);
+        if (ancestor !== -1) model.addTransition(index, ancestor);
+      }
+    });
+    model.closeUnder(systems[system]);
+
+    return model;
+  }
+
+  /**
+   * Determine whether an MPL wff is valid in a given modal system (true in every model of that system).
+   * Supported systems are 'K', 'T', 'S4', and 'S5'.
+   */
+  function validInSystem(wff, system) {
+    return !findCountermodel(wff, system);
   }
 
   // export public methods
   return {
     Wff: Wff,
+    isVariable: isVariable,
     Model: Model,
-    truth: truth
+    systems: systems,
+    truth: truth,
+    explain: explain,
+    extension: extension,
+    bisimilar: bisimilar,
+    distinguish: distinguish,
+    validInModel: validInModel,
+    satisfiableInModel: satisfiableInModel,
+    validOnFrame: validOnFrame,
+    findCounterValuation: findCounterValuation,
+    validInSystem: validInSystem,
+    findCountermodel: findCountermodel
   };
 
 })(FormulaParser);
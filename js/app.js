@@ -15,16 +15,32 @@ var MODE = {
     appMode = MODE.EDIT;
 
 // set up initial MPL model (loads saved model if available, default otherwise)
-var propvars = ['p','q','r','s','t'],
-    varCount = 2;
+// (propositional variables in use are collected from the model's states as it is loaded)
+var propvars = [],
+    system = 'K';
+
+// a shared link may also carry the layout, variables, formula, system and app mode (see getModelLink)
+var linkParams = {};
+window.location.search.slice(1).split('&').forEach(function(param) {
+  var pair = param.split('=');
+  try {
+    if(pair[0]) linkParams[pair[0]] = decodeURIComponent(pair.slice(1).join('='));
+  } catch(e) {}
+});
 
 var model = new MPL.Model(),
-    modelString = 'AS1;ApS1,2;AqS;';
-
-var modelParam = window.location.search.match(/\?model=(.*)/);
-if(modelParam) modelString = modelParam[1];
+    modelString = linkParams.model || 'AS1;ApS1,2;AqS;';
 
 model.loadFromModelString(modelString);
+if(linkParams.vars)
+  linkParams.vars.split(',').forEach(function(propvar) {
+    if(MPL.isVariable(propvar) && propvars.indexOf(propvar) === -1) propvars.push(propvar);
+  });
+
+// agents labelling accessibility relations (besides the unlabelled one) and the relation currently being edited
+// note: the unlabelled relation is represented by a null agent
+var agents = model.getAgents(),
+    currentAgent = null;
 
 // set up initial nodes and links (edges) of graph, based on MPL model
 var lastNodeId = -1,
@@ -32,45 +48,240 @@ var lastNodeId = -1,
     links = [];
 
 // --> nodes setup
-var states = model.getStates();
-states.forEach(function(state) {
-  if(!state) { lastNodeId++; return; }
+syncNodesWithModel();
+if(!propvars.length) propvars.push('p', 'q');
+if(linkParams.layout) setNodePositions(parseLayoutString(linkParams.layout));
+
+// --> links setup
+syncLinksWithModel();
 
-  var defaultVals = propvars.map(function() { return false; }),
-      node = {id: ++lastNodeId, vals: defaultVals, reflexive: false};
+// rebuild nodes of graph from states in MPL model
+function syncNodesWithModel() {
+  nodes.splice(0, nodes.length);
+  lastNodeId = -1;
 
-  for(var propvar in state) {
-    var index = propvars.indexOf(propvar);
-    if(index !== -1) node.vals[index] = true;
-  }
+  var states = model.getStates();
+  states.forEach(function(state) {
+    if(!state) { lastNodeId++; return; }
 
-  nodes.push(node);
-});
+    var node = {id: ++lastNodeId, assignment: Object.create(null), reflexive: false, reflexiveAgents: []};
 
-// --> links setup
-nodes.forEach(function(source) {
-  var sourceId = source.id,
-      successors = model.getSuccessorsOf(sourceId);
-
-  successors.forEach(function(targetId) {
-    if(sourceId === targetId) {
-      source.reflexive = true;
-      return;
+    for(var propvar in state) {
+      node.assignment[propvar] = true;
+      // keep whatever variables the model uses
+      if(propvars.indexOf(propvar) === -1) propvars.push(propvar);
     }
 
-    var target = nodes.filter(function(node) { return node.id === targetId; })[0];
+    nodes.push(node);
+  });
+}
 
-    if(sourceId < targetId) {
-      links.push({source: source, target: target, left: false, right: true });
-      return;
-    }
+// place nodes at given positions (an array of {x, y} objects, or null, indexed by state)
+function setNodePositions(positions) {
+  nodes.forEach(function(node) {
+    var position = positions[node.id];
+    if(!position || position.x === undefined || position.y === undefined) return;
+
+    node.x = node.px = position.x;
+    node.y = node.py = position.y;
+  });
+}
 
-    var link = links.filter(function(l) { return (l.source === target && l.target === source); })[0];
+// get node positions (as {x, y} objects, rounded to whole pixels, or null for removed states) indexed by state
+function getNodePositions() {
+  var positions = model.getStates().map(function() { return null; });
+  nodes.forEach(function(node) { positions[node.id] = {x: Math.round(node.x), y: Math.round(node.y)}; });
 
-    if(link) link.left = true;
-    else links.push({source: target, target: source, left: true, right: false });
+  return positions;
+}
+
+// get node positions as a compact string, in the manner of a model string
+// ex: nodes at (120,80) and (300,200) for states 0 and 2 (where state 1 has been removed) gives '120,80;;300,200;'
+function getLayoutString() {
+  return getNodePositions().map(function(position) {
+    return (position ? position.x + ',' + position.y : '') + ';';
+  }).join('');
+}
+
+// get node positions from a layout string, ignoring malformed entries
+function parseLayoutString(layoutString) {
+  return layoutString.split(';').map(function(position) {
+    var match = position.match(/^(-?\d+),(-?\d+)$/);
+    return match ? {x: +match[1], y: +match[2]} : null;
   });
-});
+}
+
+// rebuild reflexivity and links (edges) of graph from transitions in MPL model
+// note: links are strictly source < target; arrows separately specified by booleans
+//       each link belongs to the relation of a single agent, so there may be several per pair of nodes
+function syncLinksWithModel() {
+  var oldLinks = links.splice(0, links.length);
+
+  // get link between source and target for agent, reusing an existing one if possible
+  function getLink(source, target, agent) {
+    var isMatch = function(l) { return (l.source === source && l.target === target && l.agent === agent); },
+        link = links.filter(isMatch)[0];
+    if(link) return link;
+
+    link = oldLinks.filter(isMatch)[0] || {source: source, target: target, agent: agent};
+    link.left = false;
+    link.right = false;
+    links.push(link);
+    return link;
+  }
+
+  nodes.forEach(function(node) {
+    node.reflexive = false;
+    node.reflexiveAgents = [];
+  });
+
+  [null].concat(agents).forEach(function(agent) {
+    nodes.forEach(function(source) {
+      var sourceId = source.id,
+          successors = model.getSuccessorsOf(sourceId, agent);
+
+      successors.forEach(function(targetId) {
+        if(sourceId === targetId) {
+          if(agent === null) source.reflexive = true;
+          else source.reflexiveAgents.push(agent);
+          return;
+        }
+
+        var target = nodes.filter(function(node) { return node.id === targetId; })[0];
+
+        if(sourceId < targetId) getLink(source, target, agent).right = true;
+        else getLink(target, source, agent).left = true;
+      });
+    });
+  });
+
+  // spread out links between the same pair of nodes
+  links.forEach(function(link) {
+    var parallel = links.filter(function(l) { return (l.source === link.source && l.target === link.target); });
+    link.offset = (parallel.indexOf(link) - (parallel.length - 1) / 2) * 8;
+  });
+
+  if(links.indexOf(selected_link) === -1) selected_link = null;
+}
+
+// get transition as a string (for comparing transitions)
+function makeTransitionString(sourceId, targetId, agent) {
+  return sourceId + ',' + targetId + (agent === null ? '' : ',' + agent);
+}
+
+// get all transitions in MPL model as strings
+function getTransitions() {
+  var transitions = [];
+  [null].concat(agents).forEach(function(agent) {
+    nodes.forEach(function(node) {
+      model.getSuccessorsOf(node.id, agent).forEach(function(targetId) {
+        transitions.push(makeTransitionString(node.id, targetId, agent));
+      });
+    });
+  });
+  return transitions;
+}
+
+// snapshot model before an edit (to be passed to endModelEdit)
+// the edit is recorded in the undo history as starting from the given edit state, if any, or else the current one
+function beginModelEdit(before) {
+  cancelAnnouncement();
+  return {modelString: model.getModelString(), transitions: getTransitions(), editState: before || getEditState()};
+}
+
+// enforce current modal system after an edit:
+// each relation is closed under the system's frame properties, but if closing one would restore
+// a transition that the edit removed, the edit is rejected and the model is restored
+function endModelEdit(snapshot) {
+  var transitions = getTransitions(),
+      removed = snapshot.transitions.filter(function(t) { return transitions.indexOf(t) === -1; }),
+      added = [];
+
+  [null].concat(agents).forEach(function(agent) {
+    model.closeUnder(MPL.systems[system], agent).forEach(function(transition) {
+      added.push(makeTransitionString(transition[0], transition[1], agent));
+    });
+  });
+
+  var rejected = added.some(function(transition) {
+    return removed.indexOf(transition) !== -1;
+  });
+
+  if(rejected) {
+    model.loadFromModelString(snapshot.modelString);
+    showSystemNotice('That edit would break the frame conditions of ' + system + ', so it was undone.');
+  } else if(added.length) {
+    showSystemNotice('Added ' + added.length + ' transition' + (added.length === 1 ? '' : 's') + ' to stay within ' + system + '.');
+  }
+
+  syncLinksWithModel();
+
+  // any report of merged states no longer describes the model
+  mergedStates.classed('inactive', true);
+
+  recordEdit(snapshot.editState);
+}
+
+// undo/redo history: each command holds the edit states from before and after an edit
+var undoStack = [],
+    redoStack = [];
+
+// get everything that edits change: the model, variables, agents and system (plus node positions, to restore nodes)
+function getEditState() {
+  return {
+    modelString: model.getModelString(),
+    propvars: propvars.slice(),
+    agents: agents.slice(),
+    system: system,
+    positions: getNodePositions()
+  };
+}
+
+// record an edit as a command, given the edit state from before it (unless it changed nothing)
+function recordEdit(before) {
+  var after = getEditState();
+  if(before.modelString === after.modelString && before.system === after.system &&
+     before.propvars.join() === after.propvars.join() && before.agents.join() === after.agents.join()) return;
+
+  undoStack.push({before: before, after: after});
+  redoStack = [];
+}
+
+// restore an edit state, leaving nodes which exist in both states where they are now
+function restoreEditState(editState) {
+  var currentPositions = getNodePositions(),
+      restored = new MPL.Model();
+  restored.loadFromModelString(editState.modelString);
+
+  loadModel(restored, editState.propvars, editState.positions.map(function(position, id) {
+    return currentPositions[id] || position;
+  }));
+  agents.splice(0, agents.length);
+  agents.push.apply(agents, editState.agents);
+  system = editState.system;
+  updateSystemButtons();
+  mergedStates.classed('inactive', true);
+  setCurrentAgent(null);
+
+  // any evaluation no longer describes the model
+  if(appMode === MODE.EVAL) setAppMode(MODE.EVAL);
+}
+
+function undo() {
+  var command = undoStack.pop();
+  if(!command) return;
+
+  restoreEditState(command.before);
+  redoStack.push(command);
+}
+
+function redo() {
+  var command = redoStack.pop();
+  if(!command) return;
+
+  restoreEditState(command.after);
+  undoStack.push(command);
+}
 
 // set up SVG for D3
 var width  = 640,
@@ -92,28 +303,48 @@ var force = d3.layout.force()
     .charge(-500)
     .on('tick', tick);
 
-// define arrow markers for graph links
-svg.append('svg:defs').append('svg:marker')
-    .attr('id', 'end-arrow')
-    .attr('viewBox', '0 -5 10 10')
-    .attr('refX', 6)
-    .attr('markerWidth', 3)
-    .attr('markerHeight', 3)
-    .attr('orient', 'auto')
-  .append('svg:path')
-    .attr('d', 'M0,-5L10,0L0,5')
-    .attr('fill', '#000');
-
-svg.append('svg:defs').append('svg:marker')
-    .attr('id', 'start-arrow')
-    .attr('viewBox', '0 -5 10 10')
-    .attr('refX', 4)
-    .attr('markerWidth', 3)
-    .attr('markerHeight', 3)
-    .attr('orient', 'auto')
-  .append('svg:path')
-    .attr('d', 'M10,-5L0,0L10,5')
-    .attr('fill', '#000');
+// link colours for each agent (the unlabelled relation is black)
+var agentColors = d3.scale.ordinal()
+  .range(['#d62728', '#2ca02c', '#9467bd', '#ff7f0e', '#17becf', '#8c564b', '#e377c2', '#bcbd22']);
+
+function getAgentColor(agent) {
+  return (agent === null) ? '#000' : agentColors(agent);
+}
+
+// get suffix identifying the arrow markers for an agent's links
+function getMarkerSuffix(agent) {
+  return (agent === null) ? '' : '-' + agent;
+}
+
+// define arrow markers for graph links of an agent (if not already defined)
+function defineArrowMarkers(agent) {
+  var suffix = getMarkerSuffix(agent);
+  if(!svg.select('#end-arrow' + suffix).empty()) return;
+
+  svg.append('svg:defs').append('svg:marker')
+      .attr('id', 'end-arrow' + suffix)
+      .attr('viewBox', '0 -5 10 10')
+      .attr('refX', 6)
+      .attr('markerWidth', 3)
+      .attr('markerHeight', 3)
+      .attr('orient', 'auto')
+    .append('svg:path')
+      .attr('d', 'M0,-5L10,0L0,5')
+      .attr('fill', getAgentColor(agent));
+
+  svg.append('svg:defs').append('svg:marker')
+      .attr('id', 'start-arrow' + suffix)
+      .attr('viewBox', '0 -5 10 10')
+      .attr('refX', 4)
+      .attr('markerWidth', 3)
+      .attr('markerHeight', 3)
+      .attr('orient', 'auto')
+    .append('svg:path')
+      .attr('d', 'M10,-5L0,0L10,5')
+      .attr('fill', getAgentColor(agent));
+}
+
+defineArrowMarkers(null);
 
 // line displayed when dragging new nodes
 var drag_line = svg.append('svg:path')
@@ -137,73 +368,337 @@ function resetMouseVars() {
   mousedown_link = null;
 }
 
-// handles for 'Link to Model' dialog
+// handles for dialogs ('Link to Model' and 'Export Model')
 var backdrop = d3.select('.modal-backdrop'),
     linkDialog = d3.select('#link-dialog'),
-    linkInputElem = linkDialog.select('input').node();
+    linkInputElem = linkDialog.select('input').node(),
+    exportDialog = d3.select('#export-dialog'),
+    openDialog = null;
 
-function showLinkDialog() {
-  linkInputElem.value = 'http://rkirsling.github.io/modallogic/?model=' + model.getModelString();
+function showDialog(dialog) {
+  openDialog = dialog;
 
   backdrop.classed('inactive', false);
-  setTimeout(function() { backdrop.classed('in', true); linkDialog.classed('inactive', false); }, 0);
-  setTimeout(function() { linkDialog.classed('in', true); }, 150);
+  setTimeout(function() { backdrop.classed('in', true); dialog.classed('inactive', false); }, 0);
+  setTimeout(function() { dialog.classed('in', true); }, 150);
 }
 
-function hideLinkDialog() {
-  linkDialog.classed('in', false);
-  setTimeout(function() { linkDialog.classed('inactive', true); backdrop.classed('in', false); }, 150);
+function hideDialog() {
+  var dialog = openDialog;
+  if(!dialog) return;
+  openDialog = null;
+
+  dialog.classed('in', false);
+  setTimeout(function() { dialog.classed('inactive', true); backdrop.classed('in', false); }, 150);
   setTimeout(function() { backdrop.classed('inactive', true); }, 300);
 }
 
+// get a link to the current page showing what is currently seen:
+// the model, its layout and variables, the system, the formula, and the app mode
+function getModelLink() {
+  var params = [
+    'model=' + model.getModelString(),
+    'layout=' + getLayoutString(),
+    'vars=' + propvars.join()
+  ];
+  if(system !== 'K') params.push('system=' + system);
+
+  var formula = (appMode === MODE.EVAL && currentWff) ? currentWff.ascii(true) : evalInput.select('input').node().value;
+  if(formula) params.push('formula=' + encodeURIComponent(formula));
+  if(appMode === MODE.EVAL) params.push('mode=eval');
+
+  return window.location.protocol + '//' + window.location.host + window.location.pathname + '?' + params.join('&');
+}
+
+function showLinkDialog() {
+  linkInputElem.value = getModelLink();
+  showDialog(linkDialog);
+}
+
+function showExportDialog() {
+  var extras = {variables: propvars, states: getNodePositions()};
+  exportDialog.select('textarea.dot').property('value', model.toDOT(extras));
+  exportDialog.select('textarea.tikz').property('value', model.toTikZ(extras));
+  showDialog(exportDialog);
+}
+
+// style properties copied into exported images, since the stylesheet doesn't travel with them
+var exportedStyles = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity', 'opacity',
+                      'font-family', 'font-size', 'font-weight', 'text-anchor', 'background-color'];
+
+// get graph as standalone SVG markup, as currently seen (including evaluation colouring)
+function getSVGMarkup() {
+  var source = svg.node(),
+      copy = source.cloneNode(true),
+      sourceElems = [source].concat([].slice.call(source.querySelectorAll('*'))),
+      copyElems = [copy].concat([].slice.call(copy.querySelectorAll('*')));
+
+  sourceElems.forEach(function(elem, i) {
+    var style = window.getComputedStyle(elem);
+    exportedStyles.forEach(function(property) {
+      copyElems[i].style.setProperty(property, style.getPropertyValue(property));
+    });
+  });
+
+  return new XMLSerializer().serializeToString(copy);
+}
+
+// download a blob as a file with the given name
+function downloadBlob(blob, filename) {
+  var url = URL.createObjectURL(blob),
+      link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(function() { URL.revokeObjectURL(url); }, 0);
+}
+
+// download graph as an SVG or PNG image
+function exportImage(format) {
+  var markup = getSVGMarkup();
+  if(format === 'svg') {
+    downloadBlob(new Blob([markup], {type: 'image/svg+xml'}), 'modal-logic-model.svg');
+    return;
+  }
+
+  // render SVG onto a white canvas
+  var image = new Image();
+  image.onload = function() {
+    var canvas = document.createElement('canvas'),
+        context = canvas.getContext('2d');
+    canvas.width = width;
+    canvas.height = height;
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0);
+    canvas.toBlob(function(blob) { downloadBlob(blob, 'modal-logic-model.png'); });
+  };
+  image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+}
+
+// handle for hidden file input used to load sessions
+var sessionInputElem = d3.select('#model-link input[type=file]').node();
+
+// get whole session (model, layout, variables, formulas) as model JSON, with app-specific properties added
+function getSession() {
+  var session = model.toJSON({variables: propvars, states: getNodePositions(), formula: currentWff});
+  session.system = system;
+  session.input = evalInput.select('input').node().value;
+  return session;
+}
+
+// download current session as a JSON file
+function saveSession() {
+  var blob = new Blob([JSON.stringify(getSession(), null, 2)], {type: 'application/json'});
+  downloadBlob(blob, 'modal-logic-session.json');
+}
+
+// replace current graph with a new model, given its variables and node positions (indexed by state) if known
+// note: the caller should then set the system, which closes the model under it and restarts the graph
+function loadModel(newModel, variables, positions) {
+  cancelAnnouncement();
+  model = newModel;
+  propvars.splice(0, propvars.length);
+  if(variables) propvars.push.apply(propvars, variables);
+  agents.splice(0, agents.length);
+  agents.push.apply(agents, model.getAgents());
+
+  // load model into graph (discarding old node elements, since node ids are reused)
+  syncNodesWithModel();
+  syncLinksWithModel();
+  if(!propvars.length) propvars.push('p', 'q');
+  circle = circle.data([], function(d) { return d.id; });
+  circle.exit().remove();
+
+  if(positions) setNodePositions(positions);
+
+  selected_link = null;
+  setSelectedNode(null);
+  setCurrentAgent(null);
+}
+
+// restore session from JSON text (or report why it can't be loaded)
+function loadSession(text) {
+  setAppMode(MODE.EDIT);
+
+  var before = getEditState(),
+      session, newModel;
+  try {
+    session = JSON.parse(text);
+    newModel = MPL.Model.fromJSON(session);
+  } catch(e) {
+    showSystemNotice(e instanceof SyntaxError ? 'Invalid session file: ' + e.message : e.message);
+    return;
+  }
+
+  loadModel(newModel, session.variables, session.states);
+  evalInput.select('input').node().value = session.input || session.formula || '';
+  setSystem(MPL.systems[session.system] ? session.system : 'K', before);
+}
+
+// read session file chosen in file input
+function loadSessionFile() {
+  var file = sessionInputElem.files[0];
+  if(!file) return;
+
+  var reader = new FileReader();
+  reader.onload = function() { loadSession(reader.result); };
+  reader.readAsText(file);
+
+  // allow the same file to be chosen again
+  sessionInputElem.value = '';
+}
+
+// handles for 'Import Model' dialog
+var importDialog = d3.select('#import-dialog'),
+    importInputElem = importDialog.select('textarea').node(),
+    importError = importDialog.select('.import-error');
+
+// don't let graph editing keys (e.g. backspace) act on the graph while typing in a dialog
+d3.selectAll('.modal input, .modal textarea')
+  .on('keydown', function() { d3.event.stopPropagation(); });
+
+function showImportDialog() {
+  importError.classed('inactive', true);
+  showDialog(importDialog);
+}
+
+// replace current graph with the model pasted into the import dialog,
+// given as model JSON (e.g., a saved session), GraphViz DOT, or plain text (see MPL.Model.fromText)
+function importModel() {
+  var text = importInputElem.value,
+      json = null,
+      newModel;
+
+  try {
+    if(/^\s*\{/.test(text)) {
+      newModel = MPL.Model.fromJSON(text);
+      json = JSON.parse(text);
+    } else if(/^\s*(?:strict\s+)?(?:di)?graph\b/i.test(text)) {
+      newModel = MPL.Model.fromDOT(text);
+    } else {
+      newModel = MPL.Model.fromText(text);
+    }
+  } catch(e) {
+    importError.text(e.message).classed('inactive', false);
+    return;
+  }
+
+  hideDialog();
+  setAppMode(MODE.EDIT);
+
+  var before = getEditState();
+  loadModel(newModel, json && json.variables, json && json.states);
+  setSystem(system, before);
+}
+
 // handles for dynamic content in panel
-var varCountButtons = d3.selectAll('#edit-pane .var-count button'),
+var varList = d3.select('#edit-pane .var-select .var-list'),
+    varInput = d3.select('#edit-pane .var-select > input'),
     varTable = d3.select('#edit-pane table.propvars'),
-    varTableRows = varTable.selectAll('tr'),
     selectedNodeLabel = d3.select('#edit-pane .selected-node-id'),
+    frameProperties = d3.select('#edit-pane .frame-properties ul'),
+    systemButtons = d3.selectAll('#edit-pane .system-select button'),
+    varNotice = d3.select('#edit-pane .var-notice'),
+    systemNotice = d3.select('#edit-pane .system-notice'),
+    agentButtonGroup = d3.select('#edit-pane .agent-select .btn-group'),
+    agentInput = d3.select('#edit-pane .agent-select input'),
+    mergedStates = d3.select('#edit-pane .minimize .merged-states'),
     evalInput = d3.select('#eval-pane .eval-input'),
+    errorUnderline = d3.select('#eval-pane .eval-input .error-underline'),
     evalOutput = d3.select('#eval-pane .eval-output'),
-    currentFormula = d3.select('#app-body .current-formula');
+    distinguishSelects = d3.selectAll('#eval-pane .distinguish select'),
+    currentFormula = d3.select('#app-body .current-formula'),
+    derivation = d3.select('#app-body .derivation');
+
+// most recently evaluated wff
+var currentWff = null;
+
+// underline the offending part of the formula input, using a mirror of its text
+function showParseError(e) {
+  var input = evalInput.select('input').node(),
+      formula = input.value,
+      end = e.offset + (e.token ? e.token.length : 0);
+
+  errorUnderline.html('');
+  errorUnderline.append('span').text(formula.slice(0, e.offset));
+  errorUnderline.append('span')
+    .classed('error-token', true)
+    .text(e.token || ' ');
+  errorUnderline
+    .classed('inactive', false)
+    .property('scrollLeft', input.scrollLeft);
+
+  input.focus();
+  input.setSelectionRange(e.offset, end);
+}
+
+function hideParseError() {
+  errorUnderline.classed('inactive', true);
+}
+
+// parse formula from input box, or display an alert and return null if it can't be used
+function parseFormula(formula) {
+  hideParseError();
 
-function evaluateFormula() {
   // make sure a formula has been input
-  var formula = evalInput.select('input').node().value;
   if(!formula) {
     evalOutput
       .html('<div class="alert">No formula!</div>')
       .classed('inactive', false);
-    return;
+    return null;
+  }
+
+  // parse formula (which may be pasted as LaTeX or Unicode) and catch bad input
+  var wff;
+  try {
+    wff = /\\/.test(formula) ? MPL.Wff.fromLaTeX(formula) : MPL.Wff.fromUnicode(formula);
+  } catch(e) {
+    evalOutput
+      .html('<div class="alert"></div>')
+      .classed('inactive', false)
+      .select('.alert')
+        .text(e.message);
+    if(e.offset != null) showParseError(e);
+    return null;
   }
 
   // check formula for bad vars
-  var varsInUse = propvars.slice(0, varCount);
-  var badVars = (formula.match(/\w+/g) || []).filter(function(v) {
-    return varsInUse.indexOf(v) === -1;
+  var badVars = wff.variables().filter(function(v) {
+    return propvars.indexOf(v) === -1;
   });
   if(badVars.length) {
     evalOutput
-      .html('<div class="alert">Invalid variables in formula!</div>')
+      .html('<div class="alert">Invalid variables in formula: ' + badVars.join(', ') + '</div>')
       .classed('inactive', false);
-    return;
-  }
 
-  // parse formula and catch bad input
-  var wff = null;
-  try {
-    wff = new MPL.Wff(formula);
-  } catch(e) {
-    evalOutput
-      .html('<div class="alert">Invalid formula!</div>')
-      .classed('inactive', false);
-    return;
+    // underline the first occurrence of the first bad var
+    var match = new RegExp('(^|\\W)(' + badVars[0] + ')(?!\\w)').exec(formula);
+    if(match) showParseError({ offset: match.index + match[1].length, token: badVars[0] });
+    return null;
   }
 
+  return wff;
+}
+
+function evaluateFormula() {
+  var formula = evalInput.select('input').node().value,
+      wff = parseFormula(formula);
+  if(!wff) return;
+
+  currentWff = wff;
+  hideDerivation();
+
   // evaluate formula at each state in model
-  var trueStates  = [],
+  var extension = MPL.extension(model, wff),
+      trueStates  = [],
       falseStates = [];
   nodes.forEach(function(node, index) {
     var id = node.id,
-        truthVal = MPL.truth(model, id, wff);
+        truthVal = extension.indexOf(id) !== -1;
 
     if(truthVal) trueStates.push(id);
     else falseStates.push(id);
@@ -216,7 +711,7 @@ function evaluateFormula() {
 
   // display evaluated formula
   currentFormula
-    .html('<strong>Current formula:</strong><br>$' + wff.latex() + '$')
+    .html('<strong>Current formula:</strong><br>$' + wff.latex(true) + '$')
     .classed('inactive', false);
 
   // display truth evaluation
@@ -224,14 +719,367 @@ function evaluateFormula() {
       latexFalse = falseStates.length ? '$w_{' + falseStates.join('},$ $w_{') + '}$' : '$\\varnothing$';
   evalOutput
     .html('<div class="alert alert-success"><strong>True:</strong><div><div>' + latexTrue + '</div></div></div>' +
-          '<div class="alert alert-error"><strong>False:</strong><div><div>' + latexFalse + '</div></div></div>')
+          '<div class="alert alert-error"><strong>False:</strong><div><div>' + latexFalse + '</div></div></div>' +
+          makeValidityHTML(wff) +
+          makeStatisticsHTML(wff))
     .classed('inactive', false);
+  appendSubformulaTable(wff);
 
   // re-render LaTeX
   MathJax.Hub.Queue(['Typeset', MathJax.Hub, currentFormula.node()]);
   MathJax.Hub.Queue(['Typeset', MathJax.Hub, evalOutput.node()]);
 }
 
+// add table of each subformula's truth value at each state to eval output;
+// clicking a subformula's column colours the graph by its truth values
+function appendSubformulaTable(wff) {
+  var subformulas = wff.subformulas(),
+      truthVals = subformulas.map(function(subformula) {
+        var vals = {},
+            extension = MPL.extension(model, subformula);
+        nodes.forEach(function(node) { vals[node.id] = extension.indexOf(node.id) !== -1; });
+        return vals;
+      });
+
+  var table = evalOutput.append('div')
+    .attr('class', 'subformula-table')
+    .append('table')
+    .attr('class', 'table table-condensed');
+
+  function selectColumn(d, column) {
+    table.selectAll('tr').each(function() {
+      d3.select(this).selectAll('th.subformula, td').classed('active', function(d, i) { return i === column; });
+    });
+
+    circle
+      .classed('waiting', false)
+      .classed('true', function(d) { return truthVals[column][d.id]; })
+      .classed('false', function(d) { return !truthVals[column][d.id]; });
+  }
+
+  var headerRow = table.append('thead').append('tr');
+  headerRow.append('th');
+  headerRow.selectAll('th.subformula')
+    .data(subformulas)
+    .enter().append('th')
+    .attr('class', 'subformula')
+    .text(function(subformula) { return subformula.unicode(); })
+    .on('click', selectColumn);
+
+  var rows = table.append('tbody').selectAll('tr')
+    .data(nodes)
+    .enter().append('tr');
+  rows.append('th').text(function(node) { return 'w' + node.id; });
+  rows.selectAll('td')
+    .data(function(node) { return truthVals.map(function(vals) { return vals[node.id]; }); })
+    .enter().append('td')
+    .attr('class', function(truthVal) { return truthVal ? 'true' : 'false'; })
+    .text(function(truthVal) { return truthVal ? 1 : 0; })
+    .on('click', selectColumn);
+
+  selectColumn(null, subformulas.length - 1);
+}
+
+// get evaluation step (as given by MPL.explain) as a displayable string
+function makeStepString(step) {
+  var string = 'w' + step.state + ' ' + (step.value ? '\u22a8' : '\u22ad') + ' ' + step.wff.unicode();
+  if(step.witness === null) return string;
+
+  // H and P look backward along the accessibility relation, EF and AG look along whole paths,
+  // and other modal operators look forward
+  var json = step.wff.json(),
+      direction = (json.pastnec || json.pastposs) ? 'predecessor' : (json.ef || json.ag) ? 'reachable state' : 'successor';
+
+  return string + (step.value ? ' (verified by ' : ' (refuted by ') + direction + ' w' + step.witness + ')';
+}
+
+// add an evaluation step and its substeps to a derivation list
+function appendDerivationStep(list, step) {
+  var item = list.append('li');
+
+  item.append('span')
+    .attr('class', 'step')
+    .classed('true', step.value)
+    .classed('false', !step.value)
+    .classed('expandable', step.steps.length > 0)
+    .text(makeStepString(step))
+    .on('click', function() { item.classed('collapsed', !item.classed('collapsed')); })
+    .on('mouseover', function() { highlightStep(step); })
+    .on('mouseout', function() { highlightStep(null); });
+
+  if(!step.steps.length) return;
+
+  var sublist = item.append('ul');
+  step.steps.forEach(function(substep) {
+    appendDerivationStep(sublist, substep);
+  });
+  item.classed('collapsed', true);
+}
+
+// highlight the state of an evaluation step, along with the transition to its witness (if any)
+function highlightStep(step) {
+  var isHighlighted = function(id) { return step && (id === step.state || id === step.witness); },
+      json = step ? step.wff.json() : {},
+      agent = (json.agent === undefined) ? null : json.agent,
+      isPast = !!(json.pastnec || json.pastposs);
+
+  circle.classed('highlighted', function(d) { return isHighlighted(d.id); });
+  path.classed('highlighted', function(d) {
+    if(!step || step.witness === null || d.agent !== agent) return false;
+
+    // past operators reach their witness along a transition pointing into the current state
+    var from = isPast ? step.witness : step.state,
+        to = isPast ? step.state : step.witness;
+    return (d.source.id === from && d.target.id === to && d.right) ||
+           (d.source.id === to && d.target.id === from && d.left);
+  });
+}
+
+// show derivation of current formula's truth value at a given state
+function showDerivation(stateId) {
+  derivation.select('.derivation-header strong').text('Why? (at w' + stateId + ')');
+
+  // expand top-level step only
+  var list = derivation.select('ul.steps').html('');
+  appendDerivationStep(list, MPL.explain(model, stateId, currentWff));
+  list.select('li').classed('collapsed', false);
+
+  derivation.classed('inactive', false);
+}
+
+function hideDerivation() {
+  derivation.classed('inactive', true);
+  highlightStep(null);
+}
+
+// replace model with a countermodel to the formula in the current modal system, if there is one
+function findCountermodel() {
+  var wff = parseFormula(evalInput.select('input').node().value);
+  if(!wff) return;
+
+  if(['K','T','S4','S5'].indexOf(system) === -1) {
+    evalOutput
+      .html('<div class="alert">Countermodels can only be found for K, T, S4, and S5!</div>')
+      .classed('inactive', false);
+    return;
+  }
+
+  var countermodel = null;
+  try {
+    countermodel = MPL.findCountermodel(wff, system);
+  } catch(e) {
+    evalOutput
+      .html('<div class="alert">' + e.message + '</div>')
+      .classed('inactive', false);
+    return;
+  }
+
+  if(!countermodel) {
+    evalOutput
+      .html('<div class="alert alert-success">Valid in ' + system + ': no countermodel exists.</div>')
+      .classed('inactive', false);
+    return;
+  }
+
+  // load countermodel into graph, keeping the variables in use
+  var before = getEditState();
+  loadModel(countermodel, propvars.slice());
+  recordEdit(before);
+
+  evaluateFormula();
+}
+
+// replace formula with an equivalent one given by an MPL.Wff rewriting method (e.g., 'nnf'), and evaluate it
+function rewriteFormula(method) {
+  var wff = parseFormula(evalInput.select('input').node().value);
+  if(!wff) return;
+
+  // normal forms can be too large to compute
+  var rewritten;
+  try {
+    rewritten = wff[method]();
+  } catch(e) {
+    evalOutput
+      .html('<div class="alert"></div>')
+      .classed('inactive', false)
+      .select('.alert')
+        .text(e.message);
+    return;
+  }
+
+  evalInput.select('input').node().value = rewritten.ascii(true);
+  evaluateFormula();
+}
+
+// update the states which can be chosen for distinguishing, keeping current choices where possible
+function updateDistinguishOptions() {
+  distinguishSelects.each(function(d, i) {
+    var select = d3.select(this),
+        value = this.value;
+
+    var options = select.selectAll('option')
+      .data(nodes, function(node) { return node.id; });
+    options.enter().append('option');
+    options.exit().remove();
+    options
+      .sort(function(a, b) { return a.id - b.id; })
+      .attr('value', function(node) { return node.id; })
+      .text(function(node) { return 'w' + node.id; });
+
+    var ids = nodes.map(function(node) { return String(node.id); });
+    if(ids.indexOf(value) !== -1) this.value = value;
+    else if(ids.length) this.value = ids[Math.min(i, ids.length - 1)];
+  });
+}
+
+// find a shortest formula true at one chosen state and false at the other, and evaluate it
+function distinguishStates() {
+  var ids = [];
+  distinguishSelects.each(function() { ids.push(+this.value); });
+
+  var wff = MPL.distinguish(model, ids[0], model, ids[1]);
+  if(!wff) {
+    evalOutput
+      .html('<div class="alert alert-info">$w_{' + ids[0] + '}$ and $w_{' + ids[1] + '}$ are bisimilar, ' +
+            'so no formula is true at one and false at the other.</div>')
+      .classed('inactive', false);
+    MathJax.Hub.Queue(['Typeset', MathJax.Hub, evalOutput.node()]);
+    return;
+  }
+
+  evalInput.select('input').node().value = wff.ascii(true);
+  evaluateFormula();
+}
+
+// time (in ms) for which states eliminated by an announcement are shown greyed out before being removed
+var announceDuration = 1000;
+
+// announcement whose eliminated states are still greyed out: {timer, apply} (apply removes them from the graph)
+var pendingAnnouncement = null;
+
+// drop a pending announcement (e.g., when the model is edited first), restoring the greyed-out graph
+function cancelAnnouncement() {
+  if(!pendingAnnouncement) return;
+
+  clearTimeout(pendingAnnouncement.timer);
+  pendingAnnouncement = null;
+  circle.interrupt().style('opacity', null);
+  path.interrupt().style('opacity', null);
+}
+
+// apply a pending announcement right away
+function finishAnnouncement() {
+  if(!pendingAnnouncement) return;
+
+  var apply = pendingAnnouncement.apply;
+  clearTimeout(pendingAnnouncement.timer);
+  pendingAnnouncement = null;
+  apply();
+}
+
+// publicly announce the formula, restricting the model to the states where it is true
+function announceFormula() {
+  // announcing again before the last announcement is applied announces on its result
+  finishAnnouncement();
+
+  var wff = parseFormula(evalInput.select('input').node().value);
+  if(!wff) return;
+
+  var announced = model.announce(wff),
+      states = announced.getStates(),
+      isEliminated = function(node) { return !states[node.id]; },
+      eliminated = nodes.filter(isEliminated);
+
+  if(eliminated.length === nodes.length) {
+    evalOutput
+      .html('<div class="alert">The formula is false at every state, so it cannot be announced!</div>')
+      .classed('inactive', false);
+    return;
+  }
+
+  // grey out eliminated states and their transitions
+  hideDerivation();
+  circle.filter(isEliminated)
+    .transition()
+    .duration(announceDuration)
+    .style('opacity', 0.2);
+  path.filter(function(d) { return isEliminated(d.source) || isEliminated(d.target); })
+    .transition()
+    .duration(announceDuration)
+    .style('opacity', 0.2);
+
+  // then remove them from the graph
+  function apply() {
+    var snapshot = beginModelEdit();
+    model = announced;
+    nodes.filter(isEliminated).forEach(function(node) {
+      nodes.splice(nodes.indexOf(node), 1);
+      spliceLinksForNode(node);
+    });
+    if(selected_node && isEliminated(selected_node)) setSelectedNode(null);
+    endModelEdit(snapshot);
+
+    // link elements are reused by index, so restore their opacity
+    path.style('opacity', null);
+    restart();
+
+    evaluateFormula();
+  }
+  pendingAnnouncement = {timer: setTimeout(finishAnnouncement, announceDuration + 250), apply: apply};
+}
+
+// symbols for the operators of a formula (by their keys in MPL's JSON representation)
+var operatorSymbols = {
+  top: '\u22a4', bot: '\u22a5',
+  neg: '\u00ac', nec: '\u25a1', poss: '\u25ca',
+  futnec: 'G', futposs: 'F', pastnec: 'H', pastposs: 'P',
+  ef: 'EF', ag: 'AG', af: 'AF', eg: 'EG', announce: '[!]',
+  conj: '\u2227', disj: '\u2228', xor: '\u2295', nand: '\u22bc', impl: '\u2192', equi: '\u2194'
+};
+
+// get structural statistics of a formula as displayable HTML
+function makeStatisticsHTML(wff) {
+  var counts = wff.connectiveCounts(),
+      countStrings = Object.keys(counts).map(function(key) { return operatorSymbols[key] + ' \u00d7' + counts[key]; });
+
+  return '<div class="alert alert-info statistics">' +
+    '<div><strong>Size:</strong> ' + wff.size() + '</div>' +
+    '<div><strong>Modal depth:</strong> ' + wff.modalDepth() + '</div>' +
+    '<div><strong>Variables:</strong> ' + (wff.variables().join(', ') || 'none') + '</div>' +
+    '<div><strong>Operators:</strong> ' + (countStrings.join(', ') || 'none') + '</div></div>';
+}
+
+// max # of (state, variable) pairs for which frame validity is checked on every evaluation, as each doubles the work
+var maxFrameCheckSize = 10;
+
+// get model-wide and frame-wide validity of a formula as displayable HTML
+function makeValidityHTML(wff) {
+  var yesNo = function(value) { return value ? 'yes' : 'no'; },
+      formulaVars = propvars.filter(function(v) {
+        return wff.variables().indexOf(v) !== -1;
+      });
+
+  var html = '<div class="alert alert-info validity">' +
+    '<div><strong>Valid in model:</strong> ' + yesNo(MPL.validInModel(model, wff)) + '</div>' +
+    '<div><strong>Satisfiable in model:</strong> ' + yesNo(MPL.satisfiableInModel(model, wff)) + '</div>';
+
+  if(nodes.length * formulaVars.length > maxFrameCheckSize)
+    return html + '<div><strong>Valid on frame:</strong> too many states and variables to check</div></div>';
+
+  var counter = MPL.findCounterValuation(model, wff);
+  html += '<div><strong>Valid on frame:</strong> ' + yesNo(!counter) + '</div>';
+  if(!counter) return html + '</div>';
+
+  // display counter-valuation, one state per line
+  var latexValuation = nodes.map(function(node) {
+    var assignment = counter.valuation[node.id],
+        latexVars = formulaVars.map(function(v) { return (assignment[v] ? '' : '\\lnot{}') + v; });
+    return '$w_{' + node.id + '}$: $' + (latexVars.join(',') || '\\varnothing') + '$';
+  });
+  return html + '<strong>Counter-valuation</strong> (false at $w_{' + counter.state + '}$):' +
+    '<div><div>' + latexValuation.join('<br>') + '</div></div></div>';
+}
+
 // set selected node and notify panel of changes
 function setSelectedNode(node) {
   selected_node = node;
@@ -240,63 +1088,321 @@ function setSelectedNode(node) {
   selectedNodeLabel.html(selected_node ? '<strong>State '+selected_node.id+'</strong>' : 'No state selected');
 
   // update variable table
-  if(selected_node) {
-    var vals = selected_node.vals;
-    varTableRows.each(function(d,i) {
-      d3.select(this).select('.var-value .btn-success').classed('active', vals[i]);
-      d3.select(this).select('.var-value .btn-danger').classed('active', !vals[i]);
-    });
-  }
+  updateVarTable();
   varTable.classed('inactive', !selected_node);
 }
 
+// update true/false buttons in variable table to reflect selected node's assignment
+function updateVarTable() {
+  if(!selected_node) return;
+
+  var assignment = selected_node.assignment;
+  varTable.selectAll('tr').each(function(propvar) {
+    d3.select(this).select('.var-value .btn-success').classed('active', !!assignment[propvar]);
+    d3.select(this).select('.var-value .btn-danger').classed('active', !assignment[propvar]);
+  });
+}
+
+// describe a frame property witness (as given by MPL.Model's frameProperties) as a displayable string
+function makeWitnessString(property, witness) {
+  var w = witness.map(function(id) { return 'w' + id; });
+
+  switch(property) {
+    case 'reflexive':  return w[0] + ' does not access itself';
+    case 'serial':     return w[0] + ' has no successors';
+    case 'symmetric':  return w[0] + ' \u2192 ' + w[1] + ' but not ' + w[1] + ' \u2192 ' + w[0];
+    case 'transitive': return w[0] + ' \u2192 ' + w[1] + ' \u2192 ' + w[2] + ' but not ' + w[0] + ' \u2192 ' + w[2];
+    case 'euclidean':  return w[0] + ' \u2192 ' + w[1] + ', ' + w[0] + ' \u2192 ' + w[2] + ' but not ' + w[1] + ' \u2192 ' + w[2];
+  }
+}
+
+// update frame property list in panel to reflect current model
+function updateFrameProperties() {
+  var properties = model.frameProperties(currentAgent),
+      names = Object.keys(properties);
+
+  var items = frameProperties.selectAll('li').data(names);
+  items.enter().append('li');
+  items.exit().remove();
+
+  items
+    .classed('holds', function(name) { return properties[name].holds; })
+    .attr('title', function(name) {
+      var property = properties[name];
+      return property.holds ? '' : makeWitnessString(name, property.witness);
+    })
+    .text(function(name) { return (properties[name].holds ? '\u2713 ' : '\u2717 ') + name; });
+}
+
 // get truth assignment for node as a displayable string
 function makeAssignmentString(node) {
-  var vals = node.vals,
-      outputVars = [];
-
-  for(var i = 0; i < varCount; i++) {
+  var outputVars = propvars.map(function(propvar) {
     // attach 'not' symbol to false values
-    outputVars.push((vals[i] ? '' : '\u00ac') + propvars[i]);
-  }
+    return (node.assignment[propvar] ? '' : '\u00ac') + propvar;
+  });
 
   return outputVars.join(', ');
 }
 
-// set # of vars currently in use and notify panel of changes
-function setVarCount(count) {
-  varCount = count;
+// get agents with reflexive transitions at node as a displayable string
+function makeLoopString(node) {
+  return node.reflexiveAgents.length ? '\u21bb ' + node.reflexiveAgents.join(', ') : '';
+}
 
-  // update variable count button states
-  varCountButtons.each(function(d,i) {
-    if(i !== varCount-1) d3.select(this).classed('active', false);
-    else d3.select(this).classed('active', true);
-  });
+// rebuild variable list and variable table in panel to reflect current variables
+function updateVariables() {
+  // variable list: each name can be edited in place to rename the variable
+  var items = varList.selectAll('span.var-item')
+    .data(propvars, function(d) { return d; });
+
+  var newItems = items.enter().append('span')
+    .attr('class', 'var-item');
+  newItems.append('input')
+    .attr('type', 'text')
+    .attr('class', 'input-mini')
+    .attr('title', 'rename variable')
+    .on('change', function(d) { renameVariable(d, this.value.trim()); })
+    .on('keydown', function() { d3.event.stopPropagation(); });
+  newItems.append('button')
+    .attr('class', 'close')
+    .attr('title', 'remove variable')
+    .html('&times;')
+    .on('click', removeVariable);
+
+  items.exit().remove();
+  items.order();
+  items.select('input').property('value', function(d) { return d; });
+
+  // variable table: one row of true/false buttons per variable
+  var rows = varTable.select('tbody').selectAll('tr')
+    .data(propvars, function(d) { return d; });
+
+  var newRows = rows.enter().append('tr');
+  newRows.append('td')
+    .attr('class', 'var-name')
+    .text(function(d) { return d + ':'; });
+  var buttons = newRows.append('td')
+    .attr('class', 'var-value')
+    .append('div')
+    .attr('class', 'btn-group');
+  buttons.append('button')
+    .attr('class', 'btn btn-small btn-success')
+    .text('True')
+    .on('click', function(d) { setVarForSelectedNode(d, true); });
+  buttons.append('button')
+    .attr('class', 'btn btn-small btn-danger')
+    .text('False')
+    .on('click', function(d) { setVarForSelectedNode(d, false); });
+
+  rows.exit().remove();
+  rows.order();
+  updateVarTable();
 
   //update graph text
-  circle.selectAll('text:not(.id)').text(makeAssignmentString);
+  circle.selectAll('text:not(.id):not(.loops)').text(makeAssignmentString);
+}
+
+// describe why a name can't be used as a propositional variable
+function invalidVariableMessage(name) {
+  return /^\w+$/.test(name) ?
+    "'" + name + "' can't be a variable, since formulas read it as a constant or an operator." :
+    "'" + name + "' can't be a variable, since variable names must be alphanumeric.";
+}
+
+// add variable named in variable input (initially false at every state)
+function addVariable() {
+  var propvar = varInput.node().value.trim();
+  if(!propvar) return;
+  if(!MPL.isVariable(propvar)) {
+    showVarNotice(invalidVariableMessage(propvar));
+    return;
+  }
+
+  var before = getEditState();
+  if(propvars.indexOf(propvar) === -1) propvars.push(propvar);
+  varInput.node().value = '';
+  updateVariables();
+  recordEdit(before);
+}
+
+// rename variable throughout model, keeping its truth values
+function renameVariable(oldName, newName) {
+  var before = getEditState();
+
+  if(newName !== oldName && !MPL.isVariable(newName)) {
+    showVarNotice(invalidVariableMessage(newName));
+  } else if(newName !== oldName && propvars.indexOf(newName) !== -1) {
+    showVarNotice("There is already a variable named '" + newName + "'.");
+  } else if(newName !== oldName) {
+    propvars[propvars.indexOf(oldName)] = newName;
+
+    nodes.forEach(function(node) {
+      if(!node.assignment[oldName]) return;
+      delete node.assignment[oldName];
+      node.assignment[newName] = true;
+
+      var update = {};
+      update[oldName] = false;
+      update[newName] = true;
+      model.editState(node.id, update);
+    });
+  }
+
+  // (also restores the old name in the list if the new one can't be used)
+  updateVariables();
+  recordEdit(before);
+}
+
+// remove variable, making it false at every state of the model
+function removeVariable(propvar) {
+  var before = getEditState();
+  propvars.splice(propvars.indexOf(propvar), 1);
+
+  nodes.forEach(function(node) {
+    delete node.assignment[propvar];
+
+    var update = {};
+    update[propvar] = false;
+    model.editState(node.id, update);
+  });
+
+  updateVariables();
+  recordEdit(before);
+}
+
+// set modal system whose frame class the model is restricted to
+// (an edit state may be given to record this as part of a larger edit starting from it)
+function setSystem(newSystem, before) {
+  var snapshot = beginModelEdit(before);
+  system = newSystem;
+  updateSystemButtons();
+
+  // close existing model under new system
+  endModelEdit(snapshot);
+  restart();
+}
+
+function updateSystemButtons() {
+  systemButtons.each(function() {
+    d3.select(this).classed('active', this.textContent === system);
+  });
+}
+
+// set agent whose accessibility relation is edited (null for the unlabelled relation)
+function setCurrentAgent(agent) {
+  currentAgent = agent;
+
+  // rebuild agent buttons
+  var buttons = agentButtonGroup.selectAll('button')
+    .data([null].concat(agents));
+  buttons.enter().append('button')
+    .attr('class', 'btn btn-small');
+  buttons.exit().remove();
+
+  buttons
+    .classed('active', function(d) { return d === currentAgent; })
+    .style('color', getAgentColor)
+    .text(function(d) { return (d === null) ? 'none' : d; })
+    .on('click', setCurrentAgent);
+
+  if(selected_node || selected_link) {
+    selected_link = null;
+    setSelectedNode(null);
+  }
+  restart();
+}
+
+// add agent named in agent input and start editing its relation
+function addAgent() {
+  var agent = agentInput.node().value.trim();
+  if(!/^\w+$/.test(agent)) return;
+
+  var before = getEditState();
+  if(agents.indexOf(agent) === -1) agents.push(agent);
+  agentInput.node().value = '';
+  setCurrentAgent(agent);
+  recordEdit(before);
+}
+
+// collapse model to its bisimulation contraction, reporting which states were merged
+function minimizeModel() {
+  var before = getEditState(),
+      result = model.minimize(),
+      mapping = result.mapping,
+      oldNodes = nodes.slice();
+
+  // group old states by the new state they were merged into
+  var classes = result.model.getStates().map(function() { return []; });
+  oldNodes.forEach(function(node) { classes[mapping[node.id]].push(node); });
+
+  if(classes.length === oldNodes.length) {
+    mergedStates.text('The model is already minimal: no states are bisimilar.').classed('inactive', false);
+    return;
+  }
 
-  //update variable table rows
-  varTableRows.each(function(d,i) {
-    if(i < varCount) d3.select(this).classed('inactive', false);
-    else d3.select(this).classed('inactive', true);
+  // load contracted model into graph (discarding old node elements, since node ids are reused)
+  model = result.model;
+  syncNodesWithModel();
+  endModelEdit(beginModelEdit(before));
+  circle = circle.data([], function(d) { return d.id; });
+  circle.exit().remove();
+
+  // place each new state where the first of its merged states was
+  nodes.forEach(function(node) {
+    var first = classes[node.id][0];
+    node.x = node.px = first.x;
+    node.y = node.py = first.y;
   });
+
+  selected_link = null;
+  setSelectedNode(null);
+  restart();
+
+  var merges = classes
+    .map(function(merged, id) {
+      return merged.map(function(node) { return 'w' + node.id; }).join(', ') + ' \u2192 w' + id;
+    })
+    .filter(function(merge, id) { return classes[id].length > 1; });
+  mergedStates.text('Merged ' + merges.join('; ')).classed('inactive', false);
 }
 
-function setVarForSelectedNode(varnum, value) {
+// briefly show a message about why a variable name was rejected
+var varNoticeTimeout = null;
+
+function showVarNotice(message) {
+  varNotice.text(message).classed('inactive', false);
+
+  clearTimeout(varNoticeTimeout);
+  varNoticeTimeout = setTimeout(function() { varNotice.classed('inactive', true); }, 3000);
+}
+
+// briefly show a message about how the current system affected an edit
+var systemNoticeTimeout = null;
+
+function showSystemNotice(message) {
+  systemNotice.text(message).classed('inactive', false);
+
+  clearTimeout(systemNoticeTimeout);
+  systemNoticeTimeout = setTimeout(function() { systemNotice.classed('inactive', true); }, 3000);
+}
+
+function setVarForSelectedNode(propvar, value) {
+  var before = getEditState();
+
   //update node in graph and state in model
-  selected_node.vals[varnum] = value;
+  if(value) selected_node.assignment[propvar] = true;
+  else delete selected_node.assignment[propvar];
   var update = {};
-  update[propvars[varnum]] = value;
+  update[propvar] = value;
   model.editState(selected_node.id, update);
 
   //update buttons
-  var row = d3.select(varTableRows[0][varnum]);
-  row.select('.var-value .btn-success').classed('active', value);
-  row.select('.var-value .btn-danger').classed('active', !value);
+  updateVarTable();
 
   //update graph text
-  circle.selectAll('text:not(.id)').text(makeAssignmentString);
+  circle.selectAll('text:not(.id):not(.loops)').text(makeAssignmentString);
+
+  recordEdit(before);
 }
 
 // update force layout (called automatically each iteration)
@@ -308,12 +1414,14 @@ function tick() {
         dist = Math.sqrt(deltaX * deltaX + deltaY * deltaY),
         normX = deltaX / dist,
         normY = deltaY / dist,
+        offsetX = -normY * d.offset,
+        offsetY = normX * d.offset,
         sourcePadding = d.left ? 17 : 12,
         targetPadding = d.right ? 17 : 12,
-        sourceX = d.source.x + (sourcePadding * normX),
-        sourceY = d.source.y + (sourcePadding * normY),
-        targetX = d.target.x - (targetPadding * normX),
-        targetY = d.target.y - (targetPadding * normY);
+        sourceX = d.source.x + (sourcePadding * normX) + offsetX,
+        sourceY = d.source.y + (sourcePadding * normY) + offsetY,
+        targetX = d.target.x - (targetPadding * normX) + offsetX,
+        targetY = d.target.y - (targetPadding * normY) + offsetY;
     return 'M' + sourceX + ',' + sourceY + 'L' + targetX + ',' + targetY;
   });
 
@@ -326,18 +1434,21 @@ function tick() {
 function restart() {
   // path (link) group
   path = path.data(links);
+  agents.forEach(defineArrowMarkers);
 
   // update existing links
   path.classed('selected', function(d) { return d === selected_link; })
-    .style('marker-start', function(d) { return d.left ? 'url(#start-arrow)' : ''; })
-    .style('marker-end', function(d) { return d.right ? 'url(#end-arrow)' : ''; });
+    .style('stroke', function(d) { return getAgentColor(d.agent); })
+    .style('marker-start', function(d) { return d.left ? 'url(#start-arrow' + getMarkerSuffix(d.agent) + ')' : ''; })
+    .style('marker-end', function(d) { return d.right ? 'url(#end-arrow' + getMarkerSuffix(d.agent) + ')' : ''; });
 
   // add new links
   path.enter().append('svg:path')
     .attr('class', 'link')
     .classed('selected', function(d) { return d === selected_link; })
-    .style('marker-start', function(d) { return d.left ? 'url(#start-arrow)' : ''; })
-    .style('marker-end', function(d) { return d.right ? 'url(#end-arrow)' : ''; })
+    .style('stroke', function(d) { return getAgentColor(d.agent); })
+    .style('marker-start', function(d) { return d.left ? 'url(#start-arrow' + getMarkerSuffix(d.agent) + ')' : ''; })
+    .style('marker-end', function(d) { return d.right ? 'url(#end-arrow' + getMarkerSuffix(d.agent) + ')' : ''; })
     .on('mousedown', function(d) {
       if(appMode !== MODE.EDIT || d3.event.ctrlKey) return;
 
@@ -360,6 +1471,8 @@ function restart() {
   circle.selectAll('circle')
     .style('fill', function(d) { return (d === selected_node) ? d3.rgb(colors(d.id)).brighter().toString() : colors(d.id); })
     .classed('reflexive', function(d) { return d.reflexive; });
+  circle.select('text.loops')
+    .text(makeLoopString);
 
   // add new nodes
   var g = circle.enter().append('svg:g');
@@ -381,7 +1494,13 @@ function restart() {
       d3.select(this).attr('transform', '');
     })
     .on('mousedown', function(d) {
-      if(appMode !== MODE.EDIT || d3.event.ctrlKey) return;
+      // show derivation for node
+      if(appMode === MODE.EVAL) {
+        if(currentWff) showDerivation(d.id);
+        return;
+      }
+
+      if(d3.event.ctrlKey) return;
 
       // select node
       mousedown_node = d;
@@ -413,7 +1532,8 @@ function restart() {
       d3.select(this).attr('transform', '');
 
       // add transition to model
-      model.addTransition(mousedown_node.id, mouseup_node.id);
+      var snapshot = beginModelEdit();
+      model.addTransition(mousedown_node.id, mouseup_node.id, currentAgent);
 
       // add link to graph (update if exists)
       // note: links are strictly source < target; arrows separately specified by booleans
@@ -429,16 +1549,17 @@ function restart() {
       }
 
       var link = links.filter(function(l) {
-        return (l.source === source && l.target === target);
+        return (l.source === source && l.target === target && l.agent === currentAgent);
       })[0];
 
       if(link) {
         link[direction] = true;
       } else {
-        link = {source: source, target: target, left: false, right: false};
+        link = {source: source, target: target, agent: currentAgent, left: false, right: false};
         link[direction] = true;
         links.push(link);
       }
+      endModelEdit(snapshot);
 
       // select new link
       selected_link = link;
@@ -466,9 +1587,21 @@ function restart() {
       .attr('y', 4)
       .text(makeAssignmentString);
 
+  // show reflexive transitions of agents
+  g.append('svg:text')
+      .attr('x', 0)
+      .attr('y', 28)
+      .attr('class', 'loops')
+      .text(makeLoopString);
+
   // remove old nodes
   circle.exit().remove();
 
+  // keep variables, frame properties and state choices in sync with model
+  updateVariables();
+  updateFrameProperties();
+  updateDistinguishOptions();
+
   // set the graph in motion
   force.start();
 }
@@ -483,15 +1616,16 @@ function mousedown() {
   if(d3.event.ctrlKey || mousedown_node || mousedown_link) return;
 
   // insert new node at point
+  var snapshot = beginModelEdit();
   var point = d3.mouse(this),
-      defaultVals = propvars.map(function() { return false; }),
-      node = {id: ++lastNodeId, vals: defaultVals, reflexive: false};
+      node = {id: ++lastNodeId, assignment: Object.create(null), reflexive: false, reflexiveAgents: []};
   node.x = point[0];
   node.y = point[1];
   nodes.push(node);
 
   // add state to model
   model.addState();
+  endModelEdit(snapshot);
 
   restart();
 }
@@ -525,10 +1659,10 @@ function removeLinkFromModel(link) {
       targetId = link.target.id;
 
   // remove leftward transition
-  if(link.left) model.removeTransition(targetId, sourceId);
+  if(link.left) model.removeTransition(targetId, sourceId, link.agent);
 
   // remove rightward transition
-  if(link.right) model.removeTransition(sourceId, targetId);
+  if(link.right) model.removeTransition(sourceId, targetId, link.agent);
 }
 
 function spliceLinksForNode(node) {
@@ -557,6 +1691,8 @@ function keydown() {
   }
 
   if(!selected_node && !selected_link) return;
+
+  var snapshot = beginModelEdit();
   switch(d3.event.keyCode) {
     case 8: // backspace
     case 46: // delete
@@ -570,6 +1706,7 @@ function keydown() {
       }
       selected_link = null;
       setSelectedNode(null);
+      endModelEdit(snapshot);
       restart();
       break;
     case 66: // B
@@ -579,13 +1716,14 @@ function keydown() {
         // set link direction to both left and right
         if(!selected_link.left) {
           selected_link.left = true;
-          model.addTransition(targetId, sourceId);
+          model.addTransition(targetId, sourceId, selected_link.agent);
         }
         if(!selected_link.right) {
           selected_link.right = true;
-          model.addTransition(sourceId, targetId);
+          model.addTransition(sourceId, targetId, selected_link.agent);
         }
       }
+      endModelEdit(snapshot);
       restart();
       break;
     case 76: // L
@@ -595,38 +1733,38 @@ function keydown() {
         // set link direction to left only
         if(!selected_link.left) {
           selected_link.left = true;
-          model.addTransition(targetId, sourceId);
+          model.addTransition(targetId, sourceId, selected_link.agent);
         }
         if(selected_link.right) {
           selected_link.right = false;
-          model.removeTransition(sourceId, targetId);
+          model.removeTransition(sourceId, targetId, selected_link.agent);
         }
       }
+      endModelEdit(snapshot);
       restart();
       break;
     case 82: // R
       if(selected_node) {
-        // toggle node reflexivity
-        if(selected_node.reflexive) {
-          selected_node.reflexive = false;
-          model.removeTransition(selected_node.id, selected_node.id);
-        } else {
-          selected_node.reflexive = true;
-          model.addTransition(selected_node.id, selected_node.id);
-        }
+        // toggle node reflexivity (for current agent)
+        var nodeId = selected_node.id;
+        if(model.getSuccessorsOf(nodeId, currentAgent).indexOf(nodeId) !== -1)
+          model.removeTransition(nodeId, nodeId, currentAgent);
+        else
+          model.addTransition(nodeId, nodeId, currentAgent);
       } else if(selected_link) {
         var sourceId = selected_link.source.id,
             targetId = selected_link.target.id;
         // set link direction to right only
         if(selected_link.left) {
           selected_link.left = false;
-          model.removeTransition(targetId, sourceId);
+          model.removeTransition(targetId, sourceId, selected_link.agent);
         }
         if(!selected_link.right) {
           selected_link.right = true;
-          model.addTransition(sourceId, targetId);
+          model.addTransition(sourceId, targetId, selected_link.agent);
         }
       }
+      endModelEdit(snapshot);
       restart();
       break;
   }
@@ -651,6 +1789,8 @@ var modeButtons = d3.selectAll('#mode-select button'),
     panes = d3.selectAll('#app-body .panel .tab-pane');
 
 function setAppMode(newMode) {
+  cancelAnnouncement();
+
   // mode-specific settings
   if(newMode === MODE.EDIT) {
     // enable listeners
@@ -668,6 +1808,8 @@ function setAppMode(newMode) {
       .classed('true', false)
       .classed('false', false);
     currentFormula.classed('inactive', true);
+    currentWff = null;
+    hideDerivation();
   } else if(newMode === MODE.EVAL) {
     // disable listeners (except for I-bar prevention)
     svg.classed('edit', false)
@@ -714,6 +1856,28 @@ function setAppMode(newMode) {
   restart();
 }
 
+// allow enter key to add agent
+agentInput
+  .on('keyup', function() {
+    // enter
+    if(d3.event.keyCode === 13) addAgent();
+  })
+  .on('keydown', function() {
+    // don't let graph editing keys (e.g. backspace) act on the graph while typing
+    d3.event.stopPropagation();
+  });
+
+// allow enter key to add variable
+varInput
+  .on('keyup', function() {
+    // enter
+    if(d3.event.keyCode === 13) addVariable();
+  })
+  .on('keydown', function() {
+    // don't let graph editing keys (e.g. backspace) act on the graph while typing
+    d3.event.stopPropagation();
+  });
+
 // allow enter key to evaluate formula
 evalInput.select('input')
   .on('keyup', function() {
@@ -723,7 +1887,35 @@ evalInput.select('input')
   .on('keydown', function() {
     // enter -- needed on IE9
     if(d3.event.keyCode === 13) d3.event.preventDefault();
+  })
+  .on('input', hideParseError)
+  .on('scroll', function() {
+    errorUnderline.property('scrollLeft', this.scrollLeft);
+  });
+
+// ctrl+z to undo, ctrl+shift+z to redo (in either mode, but not while typing)
+d3.select(window)
+  .on('keydown.history', function() {
+    var target = d3.event.target.nodeName;
+    if(d3.event.keyCode !== 90 || !(d3.event.ctrlKey || d3.event.metaKey) ||
+       target === 'INPUT' || target === 'TEXTAREA') return;
+
+    d3.event.preventDefault();
+    if(d3.event.shiftKey) redo();
+    else undo();
   });
 
 // app starts here
+setCurrentAgent(null);
 setAppMode(MODE.EDIT);
+
+// restore the rest of what a shared link shows
+if(MPL.systems[linkParams.system]) setSystem(linkParams.system);
+if(linkParams.formula) evalInput.select('input').node().value = linkParams.formula;
+if(linkParams.mode === 'eval') {
+  setAppMode(MODE.EVAL);
+  if(linkParams.formula) evaluateFormula();
+}
+
+// what the page starts with isn't an edit to undo
+undoStack = [];